@@ -1,11 +1,12 @@
 const nodemailer = require('nodemailer');
 
 // Create reusable transporter object with configuration
+// SMTP_HOST/SMTP_PORT/SMTP_SECURE let a local SMTP server stand in for Gmail
 const createTransporter = () => {
   return nodemailer.createTransport({
-    host: 'smtp.gmail.com',
-    port: 587,
-    secure: false,
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
     auth: {
       user: process.env.EMAIL_USER,
       pass: process.env.EMAIL_PASSWORD,
@@ -0,0 +1,20 @@
+// ICE servers handed to WebRTC clients
+// STUN_URLS/TURN_URLS are comma-separated; TURN_SECRET must match coturn's static-auth-secret
+// Read from the environment on each use, so they don't depend on when .env is loaded
+const splitUrls = (value) => (value || '').split(',').map(url => url.trim()).filter(Boolean);
+
+module.exports = {
+  get STUN_URLS() {
+    return splitUrls(process.env.STUN_URLS || 'stun:stun.l.google.com:19302');
+  },
+  get TURN_URLS() {
+    return splitUrls(process.env.TURN_URLS);
+  },
+  get TURN_SECRET() {
+    return process.env.TURN_SECRET;
+  },
+  // How long issued TURN credentials stay valid
+  get TURN_TTL_SECONDS() {
+    return Number(process.env.TURN_TTL_SECONDS) || 3600;
+  }
+};
@@ -0,0 +1,6 @@
+const path = require('path');
+
+// Public files served at /uploads; resolved from the project root so it doesn't depend on the working directory
+module.exports = {
+  UPLOADS_DIR: path.join(__dirname, '..', 'uploads')
+};
@@ -1,12 +1,27 @@
 const jwt = require('jsonwebtoken');
+
+// Secret that authController signs login tokens with; read when used, after dotenv has loaded
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return process.env.JWT_SECRET;
+};
+
+// Shared with the Socket.IO handshake so both accept exactly the same tokens
+const verifyToken = (token) => jwt.verify(token, getJwtSecret());
+
 module.exports = (req, res, next) => {
   const token = req.header('x-auth-token');
   if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
   try {
-    const decoded = jwt.verify(token, 'your_jwt_secret_keyssssssssssssswwwwwwwwwweeeeee');
+    const decoded = verifyToken(token);
     req.user = decoded;
     next();
   } catch (err) {
     res.status(401).json({ message: 'Token is not valid' });
   }
-};
\ No newline at end of file
+};
+
+module.exports.verifyToken = verifyToken;
+module.exports.getJwtSecret = getJwtSecret;
@@ -1,15 +1,134 @@
 const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorHandler');
+
+// Allowed status changes; completed, cancelled and no-show are final
+const STATUS_TRANSITIONS = {
+  requested: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled', 'no-show'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+// Statuses that still hold the doctor's slot
+const ACTIVE_STATUSES = ['requested', 'confirmed'];
 
 const appointmentSchema = new mongoose.Schema({
   day: { type: String, required: true },
   date: { type: String, required: true },
   time: { type: String, required: true },
   type: { type: String, required: true },
-  doctorName: { type: String, required: true },
+  doctorName: { type: String }, // Name snapshot at booking time; use `doctor` for lookups
   avatarSrc: { type: String, required: true },
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // 👈 Add this
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    validate: {
+      validator: async function(value) {
+        return Boolean(await mongoose.model('User').exists({ _id: value, role: 'doctor' }));
+      },
+      message: 'Referenced user is not a doctor'
+    }
+  },
+  start: { type: Date }, // Slot start, resolved from date + time
+  end: { type: Date },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  // Audit trail of every status change and reschedule
+  history: [{
+    action: { type: String, required: true }, // status name or 'rescheduled'
+    from: { type: String },
+    to: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    reason: { type: String, trim: true }
+  }],
+  // Set when time off was added over this booking, until it is rescheduled or cancelled
+  timeOffConflict: { type: mongoose.Schema.Types.ObjectId, ref: 'TimeOff' },
+  // Reminder offsets (minutes before start) already sent to each side, so restarts don't resend them
+  remindersSent: [{
+    offset: { type: Number, required: true },
+    recipient: { type: String, enum: ['patient', 'doctor'] }, // Unset on entries from before per-side reminders
+    sentAt: { type: Date, default: Date.now }
+  }],
+  // Whether the booking still takes up the doctor's slot; kept in step with status on every save.
+  // The unique slot index filters on this rather than on status, because $in in a partial index
+  // needs MongoDB 6.0+ and older servers would silently skip creating the index.
+  holdsSlot: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now }
 });
 
+// One live booking per doctor per slot - enforced by MongoDB so concurrent requests can't double-book.
+// Cancelled appointments fall out of the index so their slot can be booked again.
+// Existing data needs scripts/migrateAppointmentSlotIndex.js.
+appointmentSchema.index(
+  { doctor: 1, start: 1 },
+  {
+    name: 'doctor_slot_unique',
+    unique: true,
+    partialFilterExpression: {
+      doctor: { $exists: true },
+      start: { $exists: true },
+      holdsSlot: true
+    }
+  }
+);
+
+appointmentSchema.pre('validate', function(next) {
+  this.holdsSlot = this.status !== 'cancelled';
+  next();
+});
+
+// Check whether the appointment may move to a given status
+appointmentSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status and record who did it
+appointmentSchema.methods.transitionTo = function(status, { by, reason } = {}) {
+  if (!STATUS_TRANSITIONS[status]) {
+    throw new ErrorResponse(`Unknown status: ${status}`, 400);
+  }
+  if (!this.canTransitionTo(status)) {
+    throw new ErrorResponse(`Cannot change appointment from ${this.status} to ${status}`, 409);
+  }
+
+  this.history.push({ action: status, from: this.status, to: status, by, reason });
+  this.status = status;
+  return this;
+};
+
+// Move to a new slot; a confirmed appointment goes back to requested for the doctor to re-confirm
+appointmentSchema.methods.reschedule = function(slot, { date, day, by, reason } = {}) {
+  if (!ACTIVE_STATUSES.includes(this.status)) {
+    throw new ErrorResponse(`Cannot reschedule a ${this.status} appointment`, 409);
+  }
+
+  this.history.push({
+    action: 'rescheduled',
+    from: `${this.date} ${this.time}`,
+    to: `${date} ${slot.time}`,
+    by,
+    reason
+  });
+
+  this.date = date;
+  this.day = day;
+  this.time = slot.time;
+  this.start = slot.start;
+  this.end = slot.end;
+  this.status = 'requested';
+  this.remindersSent = []; // New time, so reminders are due again
+  this.timeOffConflict = undefined;
+  return this;
+};
+
+appointmentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+appointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
 
-module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -1,12 +1,48 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; rejected, missed and ended are final
+const STATUS_TRANSITIONS = {
+  initiated: ['accepted', 'rejected', 'missed', 'ended'],
+  accepted: ['ended'],
+  rejected: [],
+  missed: [],
+  ended: []
+};
+
+// Calls that are still ringing or in progress
+const ACTIVE_STATUSES = ['initiated', 'accepted'];
+
+// One chat message in a call's transcript
+const MessageSchema = new mongoose.Schema({
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String, trim: true, maxlength: 2000 },
+  attachment: {
+    url: { type: String }, // Under /uploads/calls/<callId>/
+    name: { type: String, trim: true },
+    mimeType: { type: String },
+    size: { type: Number } // in bytes
+  },
+  sentAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date },
+  readAt: { type: Date }
+});
+
 const CallSchema = new mongoose.Schema({
   caller: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   callee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   startTime: { type: Date, default: Date.now },
+  answeredAt: { type: Date },
   endTime: { type: Date },
   duration: { type: Number }, // in seconds
-  status: { type: String, enum: ['initiated', 'accepted', 'rejected', 'ended'], default: 'initiated' }
+  missedReason: { type: String, enum: ['offline', 'no-answer'] },
+  status: { type: String, enum: Object.keys(STATUS_TRANSITIONS), default: 'initiated' },
+  messages: [MessageSchema] // In-call chat transcript
 });
 
-module.exports = mongoose.model('Call', CallSchema);
\ No newline at end of file
+CallSchema.index({ caller: 1, startTime: -1 });
+CallSchema.index({ callee: 1, startTime: -1 });
+
+CallSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+CallSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('Call', CallSchema);
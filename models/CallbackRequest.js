@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const callbackRequestSchema = new mongoose.Schema({
+  call: { type: mongoose.Schema.Types.ObjectId, ref: 'Call', required: true }, // The missed call
+  employee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  doctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  message: { type: String, trim: true, maxlength: 1000 },
+  preferredTime: { type: String, trim: true }, // Free text, e.g. "after 3pm"
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'dismissed'],
+    default: 'pending'
+  },
+  handledAt: { type: Date }
+}, {
+  timestamps: true
+});
+
+// One callback request per missed call
+callbackRequestSchema.index({ call: 1 }, { unique: true });
+callbackRequestSchema.index({ doctor: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CallbackRequest', callbackRequestSchema);
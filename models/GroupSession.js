@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Hard cap on a group session's size, host included
+const MAX_PARTICIPANTS_LIMIT = 50;
+
+// How early participants may join before the scheduled start
+const JOIN_EARLY_MINUTES = 15;
+
+// An invitation for one user; the token in the invite link only works for that user
+const InviteSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  token: { type: String, required: true },
+  acceptedAt: { type: Date }
+}, { _id: false });
+
+const groupSessionSchema = new mongoose.Schema({
+  host: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Doctor running the session
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 2000 },
+  scheduledStart: { type: Date, required: true },
+  scheduledEnd: { type: Date, required: true },
+  maxParticipants: { type: Number, min: 2, max: MAX_PARTICIPANTS_LIMIT, default: 10 },
+  invites: [InviteSchema],
+  // Host controls during the session
+  admitted: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  muted: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  removed: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  locked: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  }
+}, {
+  timestamps: true
+});
+
+groupSessionSchema.index({ host: 1, scheduledStart: -1 });
+groupSessionSchema.index({ 'invites.user': 1, scheduledStart: -1 });
+groupSessionSchema.index({ 'invites.token': 1 }, { unique: true, sparse: true });
+
+groupSessionSchema.pre('validate', function(next) {
+  if (this.scheduledStart && this.scheduledEnd && this.scheduledEnd <= this.scheduledStart) {
+    this.invalidate('scheduledEnd', 'Session must end after it starts');
+  }
+  if (this.invites.length + 1 > this.maxParticipants) {
+    this.invalidate('invites', `A session of ${this.maxParticipants} can have at most ${this.maxParticipants - 1} invitees`);
+  }
+  next();
+});
+
+/**
+ * Filter for sessions whose room is open now: not cancelled, and between
+ * shortly before the start and the scheduled end
+ * @param {Date} [now]
+ * @returns {Object} Mongo filter
+ */
+groupSessionSchema.statics.joinableFilter = function(now = new Date()) {
+  return {
+    status: 'scheduled',
+    scheduledStart: { $lte: new Date(now.getTime() + JOIN_EARLY_MINUTES * 60 * 1000) },
+    scheduledEnd: { $gt: now }
+  };
+};
+
+// Works whether or not host has been populated
+groupSessionSchema.methods.isHost = function(userId) {
+  return String(this.populated('host') || this.host) === String(userId);
+};
+
+groupSessionSchema.statics.MAX_PARTICIPANTS_LIMIT = MAX_PARTICIPANTS_LIMIT;
+
+module.exports = mongoose.model('GroupSession', groupSessionSchema);
@@ -1,17 +1,66 @@
 const mongoose = require('mongoose');
 const user = require('./User'); // Assuming User model is in the same directory
+const ReportCategory = require('./ReportCategory');
+const ErrorResponse = require('../utils/errorHandler');
+
+// Case workflow; resolved and dismissed cases can be reopened, closed is final
+const STATUS_TRANSITIONS = {
+  pending: ['in-progress', 'dismissed'],
+  'in-progress': ['on-hold', 'resolved', 'dismissed'],
+  'on-hold': ['in-progress', 'dismissed'],
+  resolved: ['in-progress', 'closed'],
+  dismissed: ['in-progress', 'closed'],
+  closed: []
+};
+
+// Statuses that stop the SLA clock
+const FINISHED_STATUSES = ['resolved', 'dismissed', 'closed'];
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Hours from submission to resolution, by severity
+const SLA_HOURS = {
+  low: 14 * 24,
+  medium: 7 * 24,
+  high: 72,
+  critical: 24
+};
+
+// reportToHR cases and categories routed to HR go to a queue only HR can see;
+// categories routed to safety go to the safety queue (see services/reportService QUEUE_ROLES)
+const QUEUES = ['general', 'hr', 'safety'];
+
+// Queue for a case from its reportToHR flag and its category's routing
+const getQueue = ({ reportToHR, routing }) => {
+  if (reportToHR || routing === 'hr') return 'hr';
+  return routing === 'safety' ? 'safety' : 'general';
+};
+
 const reportSchema = new mongoose.Schema({
 user: {
   type: mongoose.Schema.Types.ObjectId,
   ref: 'User', // ✅ Corrected: 'User', not 'Users'
-  required: true
+  // Anonymous reports keep no link to the reporter
+  required: function() { return !this.anonymous; }
 }
 
 ,
-  type: {
+  // Category of the case (see models/ReportCategory); investigators may correct it
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReportCategory',
+    required: true
+  },
+  // The category's routing when filed or recategorised, so queues can be filtered without a lookup
+  routing: {
     type: String,
-    required: true,
-    enum: ['option1', 'option2', 'option3'] // adjust based on your real options
+    enum: ReportCategory.ROUTINGS
+  },
+  // Answers to the category's own fields, checked against them on submission
+  details: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
   },
   date: {
     type: String,
@@ -43,10 +92,146 @@ user: {
   status: {
     type: String,
     default: 'pending',
-    enum: ['pending', 'in-progress', 'resolved']
-  }
+    enum: Object.keys(STATUS_TRANSITIONS)
+  },
+  queue: {
+    type: String,
+    enum: QUEUES,
+    default: 'general'
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'medium'
+  },
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Investigator handling the case
+  slaDueAt: { type: Date },
+  resolvedAt: { type: Date },
+  // Only visible to investigators, never to the reporter
+  internalNotes: [{
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Append-only record of everything done to the case
+  activityLog: [{
+    action: { type: String, required: true, immutable: true }, // e.g. 'status', 'assigned', 'severity', 'note'
+    from: { type: String, immutable: true },
+    to: { type: String, immutable: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+    reason: { type: String, immutable: true },
+    at: { type: Date, default: Date.now, immutable: true }
+  }],
+  // Hash of the follow-up code an anonymous reporter uses instead of an account
+  followUpCodeHash: {
+    type: String,
+    select: false
+  },
+  // Conversation between the reporter and investigators
+  messages: [{
+    from: { type: String, enum: ['reporter', 'investigator'], required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Investigators only
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Evidence files, kept outside the public uploads folder (see services/reportEvidenceService)
+  attachments: [{
+    originalName: { type: String, required: true },
+    storedName: { type: String, required: true },
+    mimeType: { type: String, required: true }, // Sniffed from the content
+    size: { type: Number, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Not set for anonymous reporters
+    uploadedByRole: { type: String, enum: ['reporter', 'investigator'], required: true },
+    createdAt: { type: Date, default: Date.now }
+  }]
 }, {
   timestamps: true // adds createdAt and updatedAt
 });
 
+reportSchema.index({ followUpCodeHash: 1 }, { unique: true, sparse: true });
+reportSchema.index({ queue: 1, status: 1, createdAt: -1 });
+reportSchema.index({ assignee: 1, status: 1 });
+reportSchema.index({ category: 1, createdAt: -1 });
+
+// Remember how long the activity log was when loaded, so entries can't be removed
+reportSchema.post('init', function() {
+  this.$locals.loadedActivityCount = this.activityLog.length;
+});
+
+reportSchema.pre('validate', function(next) {
+  // Never store who filed an anonymous report, whatever the request contained
+  if (this.anonymous) this.user = undefined;
+
+  if (this.isNew) {
+    this.queue = getQueue(this);
+    this.activityLog.push({ action: 'submitted', to: this.status });
+  }
+  if (this.isNew || this.isModified('severity')) {
+    const submittedAt = this.createdAt || new Date();
+    this.slaDueAt = new Date(submittedAt.getTime() + SLA_HOURS[this.severity] * 60 * 60 * 1000);
+  }
+
+  if (this.activityLog.length < (this.$locals.loadedActivityCount || 0)) {
+    this.invalidate('activityLog', 'Activity log entries cannot be removed');
+  }
+  next();
+});
+
+reportSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the case to a new status; a reason is always required
+reportSchema.methods.transitionTo = function(status, { by, reason } = {}) {
+  if (!STATUS_TRANSITIONS[status]) {
+    throw new ErrorResponse(`Unknown status: ${status}`, 400);
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new ErrorResponse('A reason is required to change the status', 400);
+  }
+  if (!this.canTransitionTo(status)) {
+    throw new ErrorResponse(`Cannot change case from ${this.status} to ${status}`, 409);
+  }
+
+  this.activityLog.push({ action: 'status', from: this.status, to: status, by, reason: reason.trim() });
+  this.status = status;
+  // Reopening restarts the clock from the original due date
+  this.resolvedAt = FINISHED_STATUSES.includes(status) ? (this.resolvedAt || new Date()) : undefined;
+  return this;
+};
+
+// File the case under another category (a describeCategory result); its routing can move it to another queue
+reportSchema.methods.setCategory = function({ category, routing }) {
+  this.category = category._id;
+  this.routing = routing;
+  this.queue = getQueue(this);
+  return this;
+};
+
+// Record anything else done to the case
+reportSchema.methods.logActivity = function(action, { from, to, by, reason } = {}) {
+  this.activityLog.push({ action, from, to, by, reason });
+  return this;
+};
+
+// SLA state: due date, whether it was (or is being) missed, and hours taken so far
+reportSchema.virtual('sla').get(function() {
+  if (!this.slaDueAt) return null;
+  const end = this.resolvedAt || new Date();
+  return {
+    dueAt: this.slaDueAt,
+    resolvedAt: this.resolvedAt || null,
+    breached: end > this.slaDueAt,
+    hoursOpen: Math.round(((end - (this.createdAt || end)) / (60 * 60 * 1000)) * 10) / 10
+  };
+});
+
+reportSchema.set('toJSON', { virtuals: true });
+reportSchema.set('toObject', { virtuals: true });
+
+reportSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+reportSchema.statics.FINISHED_STATUSES = FINISHED_STATUSES;
+reportSchema.statics.SEVERITIES = SEVERITIES;
+reportSchema.statics.SLA_HOURS = SLA_HOURS;
+
 module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One entry per report read or evidence download; entries are never changed
+const reportAccessLogSchema = new mongoose.Schema({
+  report: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', required: true, immutable: true },
+  viewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true }, // Not set for anonymous follow-ups
+  role: { type: String, required: true, immutable: true }, // Viewer's role, or 'anonymous-reporter'
+  view: { type: String, required: true, immutable: true }, // Redaction applied, see services/reportAccessService
+  action: { type: String, enum: ['read', 'download'], default: 'read', immutable: true },
+  route: { type: String, immutable: true }, // Endpoint the report was read through
+  ip: { type: String, immutable: true }, // Not recorded for anonymous follow-ups
+  at: { type: Date, default: Date.now, immutable: true }
+});
+
+reportAccessLogSchema.index({ report: 1, at: -1 });
+reportAccessLogSchema.index({ viewer: 1, at: -1 });
+
+module.exports = mongoose.model('ReportAccessLog', reportAccessLogSchema);
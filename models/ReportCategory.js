@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Where reports in a category go by default: hr goes to the HR-only queue,
+// safety to the queue admins and HR work, and medical reports are the
+// health-related ones doctors work
+const ROUTINGS = ['hr', 'medical', 'safety'];
+
+// Kinds of extra field a category can ask reporters for
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'choice'];
+
+// How deep categories may be nested
+const MAX_DEPTH = 4;
+
+// An extra question reporters answer for this category; answers go in the report's details
+const FieldSchema = new mongoose.Schema({
+  key: { type: String, required: true, match: /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/ },
+  label: { type: String, required: true, trim: true, maxlength: 200 },
+  type: { type: String, enum: FIELD_TYPES, default: 'text' },
+  options: [{ type: String, trim: true }], // For choice fields
+  required: { type: Boolean, default: false }
+}, { _id: false });
+
+const reportCategorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  // Stable identifier that survives renames
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9-]+$/, immutable: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'ReportCategory', default: null },
+  // Unset on a subcategory means it routes like its parent
+  routing: { type: String, enum: ROUTINGS },
+  fields: [FieldSchema],
+  active: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+reportCategorySchema.index({ parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+reportCategorySchema.pre('validate', function(next) {
+  if (!this.parent && !this.routing) {
+    this.invalidate('routing', 'Top-level categories need a routing');
+  }
+
+  const keys = new Set();
+  this.fields.forEach((field, index) => {
+    if (keys.has(field.key)) {
+      this.invalidate(`fields.${index}.key`, `Duplicate field key: ${field.key}`);
+    }
+    keys.add(field.key);
+    if (field.type === 'choice' && field.options.length === 0) {
+      this.invalidate(`fields.${index}.options`, `Choice field ${field.key} needs options`);
+    }
+  });
+  next();
+});
+
+reportCategorySchema.statics.ROUTINGS = ROUTINGS;
+reportCategorySchema.statics.FIELD_TYPES = FIELD_TYPES;
+reportCategorySchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model('ReportCategory', reportCategorySchema);
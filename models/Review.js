@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  doctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Reviewing employee
+  // The consultation being reviewed - exactly one of these is set
+  appointment: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' },
+  call: { type: mongoose.Schema.Types.ObjectId, ref: 'Call' },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number from 1 to 5'
+    }
+  },
+  comment: { type: String, trim: true, maxlength: 2000 }
+}, {
+  timestamps: true
+});
+
+reviewSchema.pre('validate', function(next) {
+  if (Boolean(this.appointment) === Boolean(this.call)) {
+    this.invalidate('appointment', 'A review must reference either an appointment or a call');
+  }
+  next();
+});
+
+// One review per employee per consultation
+reviewSchema.index({ user: 1, appointment: 1 }, { unique: true, partialFilterExpression: { appointment: { $exists: true } } });
+reviewSchema.index({ user: 1, call: 1 }, { unique: true, partialFilterExpression: { call: { $exists: true } } });
+reviewSchema.index({ doctor: 1, createdAt: -1 });
+
+// Recalculate a doctor's average rating and review count
+reviewSchema.statics.updateDoctorRating = async function(doctorId) {
+  const [stats] = await this.aggregate([
+    { $match: { doctor: new mongoose.Types.ObjectId(doctorId) } },
+    { $group: { _id: '$doctor', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('User').updateOne({ _id: doctorId }, {
+    ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+    ratingCount: stats ? stats.count : 0
+  });
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
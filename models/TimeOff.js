@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const timeOffSchema = new mongoose.Schema({
+  // Doctor on leave; empty for public holidays, which apply to every doctor
+  doctor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  type: {
+    type: String,
+    enum: ['leave', 'half-day', 'holiday'],
+    required: true
+  },
+  startDate: { type: String, required: true }, // Format: "2025-01-31"
+  endDate: { type: String, required: true }, // Inclusive
+  // Half days only: the hours still worked on each affected date
+  hours: {
+    start: { type: String }, // Format: "09:00"
+    end: { type: String } // Format: "13:00"
+  },
+  reason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+timeOffSchema.pre('validate', function(next) {
+  if (this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate must not be before startDate');
+  }
+  if (this.type === 'holiday' && this.doctor) {
+    this.invalidate('doctor', 'Public holidays apply to all doctors');
+  }
+  if (this.type !== 'holiday' && !this.doctor) {
+    this.invalidate('doctor', 'Leave and half days need a doctor');
+  }
+  if (this.type === 'half-day' && (!this.hours || !this.hours.start || !this.hours.end)) {
+    this.invalidate('hours', 'Half days need the hours still worked');
+  }
+  next();
+});
+
+timeOffSchema.index({ doctor: 1, startDate: 1, endDate: 1 });
+
+// Time off (own and public holidays) overlapping a doctor's date range
+timeOffSchema.statics.findForDoctor = function(doctorId, fromDate, toDate = fromDate) {
+  return this.find({
+    $or: [{ doctor: doctorId }, { doctor: null }],
+    startDate: { $lte: toDate },
+    endDate: { $gte: fromDate }
+  });
+};
+
+module.exports = mongoose.model('TimeOff', timeOffSchema);
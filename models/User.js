@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 
+// Ordered from least to most experienced
+const EXPERIENCE_LEVELS = ['0-1', '2-5', '6-10', '11-15', '16-20', '20+'];
+
+// Doctor fields that are safe to show to any user
+const PUBLIC_DOCTOR_FIELDS = 'name role department experience specialization qualifications workingHours weeklyHours slotDuration consultationFee isAvailable isOnline ratingAverage ratingCount';
+
 const UserSchema = new mongoose.Schema({
   name: { 
     type: String, 
@@ -19,7 +25,7 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['doctor', 'employee', 'admin'],
+    enum: ['doctor', 'employee', 'admin', 'hr'],
     default: 'doctor'
   },
   isOnline: { 
@@ -90,7 +96,7 @@ const UserSchema = new mongoose.Schema({
   
   experience: {
     type: String,
-    enum: ['0-1', '2-5', '6-10', '11-15', '16-20', '20+'],
+    enum: EXPERIENCE_LEVELS,
     required: function() {
       return this.role === 'doctor';
     },
@@ -137,6 +143,40 @@ const UserSchema = new mongoose.Schema({
     }
   },
   
+  // Per-weekday hours; when empty, workingHours applies to every day
+  weeklyHours: [{
+    day: {
+      type: Number, // 0 = Sunday ... 6 = Saturday
+      min: 0,
+      max: 6,
+      required: true
+    },
+    start: {
+      type: String, // Format: "09:00"
+      required: true
+    },
+    end: {
+      type: String, // Format: "17:00"
+      required: true
+    }
+  }],
+  
+  slotDuration: {
+    type: Number, // Minutes per bookable appointment slot
+    min: 5,
+    max: 240,
+    default: 30
+  },
+  
+  breaks: [{
+    start: {
+      type: String // Format: "13:00"
+    },
+    end: {
+      type: String // Format: "14:00"
+    }
+  }],
+  
   consultationFee: {
     type: Number,
     min: 0,
@@ -148,6 +188,17 @@ const UserSchema = new mongoose.Schema({
     default: true
   },
   
+  // Maintained by Review.updateDoctorRating
+  ratingAverage: {
+    type: Number,
+    default: 0
+  },
+  
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  
   // End of doctor-specific fields
   
   isEmailVerified: {
@@ -166,6 +217,10 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Secret for the personal iCalendar subscription feed
+  calendarToken: {
+    type: String
+  },
   reports: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Report'
@@ -202,8 +257,13 @@ UserSchema.pre('save', function(next) {
     this.specialization = undefined;
     this.qualifications = undefined;
     this.workingHours = undefined;
+    this.weeklyHours = undefined;
+    this.slotDuration = undefined;
+    this.breaks = undefined;
     this.consultationFee = undefined;
     this.isAvailable = undefined;
+    this.ratingAverage = undefined;
+    this.ratingCount = undefined;
   }
   next();
 });
@@ -214,6 +274,7 @@ UserSchema.index({ role: 1 });
 UserSchema.index({ department: 1 }); // For filtering doctors by department
 UserSchema.index({ isAvailable: 1 }); // For finding available doctors
 UserSchema.index({ 'role': 1, 'department': 1 }); // Compound index for doctor queries
+UserSchema.index({ calendarToken: 1 }, { unique: true, sparse: true }); // Calendar feed lookup
 
 // Virtual for full doctor profile (only for doctors)
 UserSchema.virtual('doctorProfile').get(function() {
@@ -225,8 +286,15 @@ UserSchema.virtual('doctorProfile').get(function() {
       specialization: this.specialization,
       qualifications: this.qualifications,
       workingHours: this.workingHours,
+      weeklyHours: this.weeklyHours,
+      slotDuration: this.slotDuration,
+      breaks: this.breaks,
       consultationFee: this.consultationFee,
-      isAvailable: this.isAvailable
+      isAvailable: this.isAvailable,
+      rating: {
+        average: this.ratingAverage,
+        count: this.ratingCount
+      }
     };
   }
   return null;
@@ -256,12 +324,9 @@ UserSchema.statics.findAvailableDoctors = function(department = null) {
 
 // Static method to find doctors by experience level
 UserSchema.statics.findDoctorsByExperience = function(minExperience) {
-  const experienceOrder = ['0-1', '2-5', '6-10', '11-15', '16-20', '20+'];
-  const minIndex = experienceOrder.indexOf(minExperience);
+  const validExperiences = this.experienceAtLeast(minExperience);
   
-  if (minIndex === -1) return this.find({ role: 'doctor' });
-  
-  const validExperiences = experienceOrder.slice(minIndex);
+  if (!validExperiences) return this.find({ role: 'doctor' });
   
   return this.find({
     role: 'doctor',
@@ -270,4 +335,13 @@ UserSchema.statics.findDoctorsByExperience = function(minExperience) {
   }).sort({ name: 1 });
 };
 
+// Static method listing experience levels at or above a minimum (null if the minimum is unknown)
+UserSchema.statics.experienceAtLeast = function(minExperience) {
+  const minIndex = EXPERIENCE_LEVELS.indexOf(minExperience);
+  return minIndex === -1 ? null : EXPERIENCE_LEVELS.slice(minIndex);
+};
+
+UserSchema.statics.EXPERIENCE_LEVELS = EXPERIENCE_LEVELS;
+UserSchema.statics.PUBLIC_DOCTOR_FIELDS = PUBLIC_DOCTOR_FIELDS;
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -1,18 +1,42 @@
-const User  = require('../models/Call')
 const express = require('express');
-
 const router = express.Router();
-router
-.get('/calls', async (req, res) => {
+const auth = require('../middlewares/auth');
+const { getCallHistory, getCallStats } = require('../services/callHistoryService');
+
+// Query filters shared by the history and stats endpoints
+const pickFilters = ({ counterpartId, status, from, to, userId }) => ({ counterpartId, status, from, to, userId });
+
+// GET /calls - Your call history, newest first (admins see every call, or ?userId=...)
+// Filters: ?counterpartId=...&status=missed,rejected&from=YYYY-MM-DD&to=YYYY-MM-DD
+// Pagination: ?limit=20&cursor=<nextCursor from the previous page>
+router.get('/calls', auth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const history = await getCallHistory(req.user, {
+      ...pickFilters(req.query),
+      cursor: req.query.cursor,
+      limit
+    });
+    res.status(200).json(history);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to fetch calls', error: error.message });
+  }
+});
+
+// GET /calls/stats - Total minutes, missed calls and average duration per doctor, with the same filters
+router.get('/calls/stats', auth, async (req, res) => {
   try {
-    const calls = await Call.find()
-      .populate('caller', 'username email role')
-      .populate('callee', 'username email role')
-      .sort({ startTime: -1 });
-    res.json(calls);
+    const stats = await getCallStats(req.user, pickFilters(req.query));
+    res.status(200).json({ stats });
   } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to fetch call stats', error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const { isValidDate, isValidTime, getDayName, findSlot } = require('../services/slotService');
+const { buildCalendar } = require('../services/calendarService');
+
+/**
+ * Load an appointment the current user takes part in (patient, doctor or admin)
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Appointment, or null once a response was sent
+ */
+const loadOwnAppointment = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid appointment id.' });
+    return null;
+  }
+
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: 'Appointment not found' });
+    return null;
+  }
+
+  const { userId, role } = req.user;
+  const isPatient = String(appointment.user) === String(userId);
+  const isDoctor = String(appointment.doctor) === String(userId);
+  if (!isPatient && !isDoctor && role !== 'admin') {
+    res.status(403).json({ message: 'Access denied.' });
+    return null;
+  }
+
+  return appointment;
+};
+
+// Respond with an ErrorResponse's own status, or a 500 for anything unexpected
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  res.status(500).json({ message, error: error.message });
+};
+
+// Create appointment in one of the doctor's free slots
+// Patients book for themselves; only admins may book on behalf of another user via userId
+router.post('/appointments', auth, async (req, res) => {
+  try {
+    const { date, time, type, doctorId, avatarSrc } = req.body;
+    const userId = req.user.role === 'admin' && req.body.userId ? req.body.userId : req.user.userId;
+
+    if (!date || !time || !type || !doctorId || !avatarSrc) {
+      return res.status(400).json({ message: 'date, time, type, doctorId and avatarSrc are required.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'Invalid userId.' });
+    }
+
+    if (String(userId) === String(doctorId)) {
+      return res.status(400).json({ message: 'Doctors cannot book appointments with themselves.' });
+    }
+
+    if (!isValidDate(date) || !isValidTime(time)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD and time must be HH:mm.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+      return res.status(400).json({ message: 'Invalid doctorId.' });
+    }
+
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const slot = await findSlot(doctor, date, time);
+    if (!slot) {
+      return res.status(400).json({ message: 'Requested time is not a bookable slot for this doctor.' });
+    }
+
+    if (slot.start.getTime() <= Date.now()) {
+      return res.status(400).json({ message: 'Cannot book a slot in the past.' });
+    }
+
+    const appointment = new Appointment({
+      day: getDayName(date),
+      date,
+      time,
+      type,
+      doctorName: doctor.name,
+      avatarSrc,
+      user: userId,
+      doctor: doctor._id,
+      start: slot.start,
+      end: slot.end
+    });
+
+    // The unique { doctor, start } index makes this insert the atomic booking step
+    await appointment.save();
+
+    await User.updateMany(
+      { _id: { $in: [userId, doctor._id] } },
+      { $push: { appointments: appointment._id } }
+    );
+
+    res.status(201).json({ message: 'Appointment created successfully', appointment });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This slot has already been booked.' });
+    }
+    res.status(500).json({ message: 'Failed to create appointment', error: error.message });
+  }
+});
+
+// Get appointments scoped to the caller's role:
+// employees see their own, doctors see those booked with them, admins see everything.
+// Optional filters: ?from=YYYY-MM-DD&to=YYYY-MM-DD&status=confirmed&doctorId=...&userId=... (userId is admin only)
+router.get('/appointments', auth, async (req, res) => {
+  try {
+    const { from, to, status, doctorId, userId } = req.query;
+    const { role } = req.user;
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD.' });
+    }
+
+    if ([doctorId, userId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid doctorId or userId.' });
+    }
+
+    const query = {};
+    if (role === 'admin') {
+      if (userId) query.user = userId;
+      if (doctorId) query.doctor = doctorId;
+    } else if (role === 'doctor') {
+      query.doctor = req.user.userId;
+    } else {
+      query.user = req.user.userId;
+      if (doctorId) query.doctor = doctorId;
+    }
+
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+    if (status) query.status = status;
+
+    const appointments = await Appointment.find(query)
+      .populate('user', 'name email role')
+      .populate('doctor', 'name email department specialization')
+      .sort({ start: 1 });
+
+    res.status(200).json({ appointments });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch appointments', error: error.message });
+  }
+});
+
+// GET /appointments/:id/ics - Download a single appointment as an iCalendar file
+router.get('/appointments/:id/ics', auth, async (req, res) => {
+  try {
+    const appointment = await loadOwnAppointment(req, res);
+    if (!appointment) return;
+
+    if (!appointment.start) {
+      return res.status(400).json({ message: 'Appointment has no scheduled time to export.' });
+    }
+
+    await appointment.populate([
+      { path: 'user', select: 'name' },
+      { path: 'doctor', select: 'name' }
+    ]);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="appointment-${appointment._id}.ics"`);
+    res.status(200).send(buildCalendar([appointment], { viewerRole: req.user.role }));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to export appointment', error: error.message });
+  }
+});
+
+// PATCH /appointments/:id/reschedule - Move an appointment to another free slot
+router.patch('/appointments/:id/reschedule', auth, async (req, res) => {
+  try {
+    const { date, time, reason } = req.body;
+    if (!isValidDate(date) || !isValidTime(time)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD and time must be HH:mm.' });
+    }
+
+    const appointment = await loadOwnAppointment(req, res);
+    if (!appointment) return;
+
+    const doctor = await User.findOne({ _id: appointment.doctor, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const slot = await findSlot(doctor, date, time);
+    if (!slot) {
+      return res.status(400).json({ message: 'Requested time is not a bookable slot for this doctor.' });
+    }
+
+    if (slot.start.getTime() <= Date.now()) {
+      return res.status(400).json({ message: 'Cannot book a slot in the past.' });
+    }
+
+    appointment.reschedule(slot, { date, day: getDayName(date), by: req.user.userId, reason });
+    await appointment.save();
+
+    await User.updateMany(
+      { _id: { $in: [appointment.user, appointment.doctor] } },
+      { $addToSet: { appointments: appointment._id } }
+    );
+
+    res.status(200).json({ message: 'Appointment rescheduled successfully', appointment });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This slot has already been booked.' });
+    }
+    sendError(res, error, 'Failed to reschedule appointment');
+  }
+});
+
+// PATCH /appointments/:id/cancel - Cancel an appointment and free its slot
+router.patch('/appointments/:id/cancel', auth, async (req, res) => {
+  try {
+    const appointment = await loadOwnAppointment(req, res);
+    if (!appointment) return;
+
+    appointment.transitionTo('cancelled', { by: req.user.userId, reason: req.body.reason });
+    await appointment.save();
+
+    await User.updateMany(
+      { _id: { $in: [appointment.user, appointment.doctor] } },
+      { $pull: { appointments: appointment._id } }
+    );
+
+    res.status(200).json({ message: 'Appointment cancelled successfully', appointment });
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel appointment');
+  }
+});
+
+// PATCH /appointments/:id/status - Confirm, complete or mark no-show (doctor/admin only)
+router.patch('/appointments/:id/status', auth, async (req, res) => {
+  try {
+    if (!['admin', 'doctor'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Access denied. Admin or Doctor role required.' });
+    }
+
+    const { status, reason } = req.body;
+    if (!['confirmed', 'completed', 'no-show'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be one of confirmed, completed or no-show.' });
+    }
+
+    const appointment = await loadOwnAppointment(req, res);
+    if (!appointment) return;
+
+    appointment.transitionTo(status, { by: req.user.userId, reason });
+    await appointment.save();
+
+    res.status(200).json({ message: `Appointment marked as ${status}`, appointment });
+  } catch (error) {
+    sendError(res, error, 'Failed to update appointment status');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const { buildCalendar } = require('../services/calendarService');
+
+// Public subscription URL for a calendar token
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+// GET /calendar/feed - Get (and create on first use) the caller's calendar feed URL
+router.get('/calendar/feed', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.calendarToken) {
+      user.calendarToken = generateToken();
+      await user.save();
+    }
+
+    res.status(200).json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to get calendar feed', error: error.message });
+  }
+});
+
+// POST /calendar/feed/rotate - Invalidate the old feed URL and issue a new one
+router.post('/calendar/feed/rotate', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.calendarToken = generateToken();
+    await user.save();
+
+    res.status(200).json({ message: 'Calendar feed URL rotated', url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to rotate calendar feed', error: error.message });
+  }
+});
+
+// GET /calendar/:token.ics - Subscription feed of upcoming appointments (token protected, no JWT)
+router.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar not found' });
+    }
+
+    // Cancelled appointments stay in the feed so subscribed clients remove them
+    const query = user.role === 'doctor' ? { doctor: user._id } : { user: user._id };
+    query.start = { $gte: new Date() };
+
+    const appointments = await Appointment.find(query)
+      .populate('user', 'name')
+      .populate('doctor', 'name')
+      .sort({ start: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.status(200).send(buildCalendar(appointments, { name: 'E-Health appointments', viewerRole: user.role }));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to build calendar feed', error: error.message });
+  }
+});
+
+module.exports = router;
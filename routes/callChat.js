@@ -0,0 +1,73 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const auth = require('../middlewares/auth');
+const {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  findCallForParticipant,
+  saveAttachment
+} = require('../services/callChatService');
+
+// The file stays in memory until its content has been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+});
+
+// Only participants of an answered call can upload to it
+const loadAnsweredCall = async (req, res, next) => {
+  try {
+    req.call = await findCallForParticipant(req.params.id, req.user.userId);
+    if (req.call.status !== 'accepted') {
+      return res.status(409).json({ message: 'Files can only be shared during an answered call.' });
+    }
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to load call', error: error.message });
+  }
+};
+
+// POST /calls/:id/attachments - Upload a file (field "file") to share in the call chat.
+// Send the returned attachment with a chat-message socket event.
+router.post('/calls/:id/attachments', auth, loadAnsweredCall, (req, res) => {
+  upload.single('file')(req, res, async (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${Math.round(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB.`
+        : 'Failed to upload file';
+      return res.status(error instanceof multer.MulterError ? 400 : 500).json({ message, error: error.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: `Attach a file of type ${Object.keys(ATTACHMENT_TYPES).join(', ')}.` });
+    }
+
+    try {
+      res.status(201).json({ attachment: await saveAttachment(req.call, req.file) });
+    } catch (err) {
+      if (err.statusCode) {
+        return res.status(err.statusCode).json({ message: err.message });
+      }
+      res.status(500).json({ message: 'Failed to upload file', error: err.message });
+    }
+  });
+});
+
+// GET /calls/:id/messages - Chat transcript of a call (its participants only)
+router.get('/calls/:id/messages', auth, async (req, res) => {
+  try {
+    const call = await findCallForParticipant(req.params.id, req.user.userId);
+    await call.populate('messages.sender', 'name role');
+    res.status(200).json({ callId: call._id, messages: call.messages });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to fetch messages', error: error.message });
+  }
+});
+
+module.exports = router;
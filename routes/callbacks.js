@@ -0,0 +1,95 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const CallbackRequest = require('../models/CallbackRequest');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+
+// POST /calls/:id/callback - Ask the doctor of a missed call to call back (the caller only)
+router.post('/calls/:id/callback', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid call id.' });
+    }
+
+    const call = await Call.findOne({ _id: req.params.id, caller: req.user.userId });
+    if (!call) {
+      return res.status(404).json({ message: 'Call not found' });
+    }
+    if (call.status !== 'missed') {
+      return res.status(400).json({ message: 'Callbacks can only be requested for missed calls.' });
+    }
+
+    const isDoctor = await User.exists({ _id: call.callee, role: 'doctor' });
+    if (!isDoctor) {
+      return res.status(400).json({ message: 'Callbacks can only be requested from doctors.' });
+    }
+
+    const { message, preferredTime } = req.body;
+    const callback = new CallbackRequest({
+      call: call._id,
+      employee: req.user.userId,
+      doctor: call.callee,
+      message,
+      preferredTime
+    });
+    await callback.save();
+
+    res.status(201).json({ message: 'Callback requested successfully', callback });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A callback was already requested for this call.' });
+    }
+    res.status(500).json({ message: 'Failed to request callback', error: error.message });
+  }
+});
+
+// GET /callbacks - Doctors see requests made to them, employees see their own (?status=pending)
+router.get('/callbacks', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = req.user.role === 'doctor' ? { doctor: req.user.userId } : { employee: req.user.userId };
+    if (status) query.status = status;
+
+    const callbacks = await CallbackRequest.find(query)
+      .populate('employee', 'name email')
+      .populate('doctor', 'name')
+      .populate('call', 'startTime missedReason')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({ callbacks });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch callbacks', error: error.message });
+  }
+});
+
+// PATCH /callbacks/:id - Mark a callback request as completed or dismissed (its doctor only)
+router.patch('/callbacks/:id', auth, roleCheck(['doctor']), async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['completed', 'dismissed'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be completed or dismissed.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid callback id.' });
+    }
+
+    const callback = await CallbackRequest.findOneAndUpdate(
+      { _id: req.params.id, doctor: req.user.userId, status: 'pending' },
+      { status, handledAt: new Date() },
+      { new: true }
+    );
+    if (!callback) {
+      return res.status(404).json({ message: 'Pending callback request not found' });
+    }
+
+    res.status(200).json({ message: `Callback marked as ${status}`, callback });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update callback', error: error.message });
+  }
+});
+
+module.exports = router;
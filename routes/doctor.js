@@ -1,8 +1,12 @@
 // Get online doctors (for employees)
 const User  = require('../models/User')
 const express = require('express');
-const Call = 
- require('../models/Call')
+const mongoose = require('mongoose');
+const auth = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+const Appointment = require('../models/Appointment');
+const { SORT_FIELDS, searchDoctors, validateDoctorProfile } = require('../services/doctorService');
+const { isValidDate, getAvailableSlots } = require('../services/slotService');
 
 const router = express.Router();
 
@@ -19,20 +23,183 @@ router
   }
 });
 
+// Search available doctors
+// Filters: department, minExperience, specialization, minFee, maxFee, online=true, availableOn=YYYY-MM-DD
+// Paging/sorting: page, limit, sortBy=name|fee|experience|rating, order=asc|desc
+router.get('/doctors/search', async (req, res) => {
+  try {
+    const { department, minExperience, specialization, online, availableOn, sortBy = 'name', order = 'asc' } = req.query;
 
+    if (minExperience && !User.experienceAtLeast(minExperience)) {
+      return res.status(400).json({ message: `minExperience must be one of ${User.EXPERIENCE_LEVELS.join(', ')}.` });
+    }
+    if (availableOn && !isValidDate(availableOn)) {
+      return res.status(400).json({ message: 'availableOn must be YYYY-MM-DD.' });
+    }
+    if (!SORT_FIELDS[sortBy] || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ message: `sortBy must be one of ${Object.keys(SORT_FIELDS).join(', ')} and order asc or desc.` });
+    }
 
-router
-.get('/calls', async (req, res) => {
+    const minFee = req.query.minFee !== undefined ? Number(req.query.minFee) : undefined;
+    const maxFee = req.query.maxFee !== undefined ? Number(req.query.maxFee) : undefined;
+    if ([minFee, maxFee].some(fee => fee !== undefined && (Number.isNaN(fee) || fee < 0))) {
+      return res.status(400).json({ message: 'minFee and maxFee must be non-negative numbers.' });
+    }
+
+    // Pagination parameters
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { doctors, total } = await searchDoctors({
+      department,
+      minExperience,
+      specialization,
+      minFee,
+      maxFee,
+      online: online === 'true',
+      availableOn,
+      sortBy,
+      order,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      doctors,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to search doctors', error: error.message });
+  }
+});
+
+// Get the logged-in doctor's own profile
+router.get('/doctors/me/profile', auth, roleCheck(['doctor']), async (req, res) => {
   try {
-    const calls = await Call.find()
-      .populate('caller', 'username email role')
-      .populate('callee', 'username email role')
-      .sort({ startTime: -1 });
-    res.json(calls);
+    const doctor = await User.findOne({ _id: req.user.userId, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    res.status(200).json({ id: doctor._id, name: doctor.name, email: doctor.email, profile: doctor.doctorProfile });
   } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+    res.status(500).json({ message: 'Failed to fetch profile', error: error.message });
   }
 });
 
+// Update the logged-in doctor's own profile (only the fields sent are changed)
+router.put('/doctors/me/profile', auth, roleCheck(['doctor']), async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const errors = validateDoctorProfile(updates);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid profile data', errors });
+    }
+
+    const doctor = await User.findOne({ _id: req.user.userId, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    doctor.set(updates);
+    await doctor.save();
+
+    res.status(200).json({ message: 'Profile updated successfully', profile: doctor.doctorProfile });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid profile data', errors: Object.values(error.errors).map(e => e.message) });
+    }
+    res.status(500).json({ message: 'Failed to update profile', error: error.message });
+  }
+});
+
+// Get a doctor's free appointment slots for a date (?date=YYYY-MM-DD)
+router.get('/doctors/:id/slots', async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'A valid date (YYYY-MM-DD) is required.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid doctor id.' });
+    }
+
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const slots = await getAvailableSlots(doctor, date);
+    res.status(200).json({ date, slotDuration: doctor.slotDuration, slots });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch slots', error: error.message });
+  }
+});
+
+// Get a doctor's appointment calendar (the doctor themselves or admin)
+// Optional filters: ?from=YYYY-MM-DD&to=YYYY-MM-DD&status=confirmed
+router.get('/doctors/:id/appointments', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid doctor id.' });
+    }
+
+    if (req.user.role !== 'admin' && String(req.user.userId) !== id) {
+      return res.status(403).json({ message: 'Access denied.' });
+    }
+
+    const { from, to, status } = req.query;
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD.' });
+    }
+
+    const query = { doctor: id };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+    if (status) query.status = status;
+
+    const appointments = await Appointment.find(query)
+      .populate('user', 'name email')
+      .sort({ start: 1 });
+
+    res.status(200).json({ appointments });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch doctor appointments', error: error.message });
+  }
+});
+
+// Get a doctor's public profile
+router.get('/doctors/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid doctor id.' });
+    }
+
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    res.status(200).json({
+      doctor: {
+        id: doctor._id,
+        name: doctor.name,
+        isOnline: doctor.isOnline,
+        profile: doctor.doctorProfile
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch doctor', error: error.message });
+  }
+});
 
 module.exports= router
\ No newline at end of file
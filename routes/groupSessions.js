@@ -0,0 +1,227 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const router = express.Router();
+const GroupSession = require('../models/GroupSession');
+const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+
+// Invite links open the frontend, which exchanges the token at GET /group-sessions/invites/:token
+const inviteUrl = (token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'https://emp-health-frontend.vercel.app';
+  return `${frontendUrl}/group-sessions/join/${token}`;
+};
+
+/**
+ * A session as one user may see it: hosts get every invite link, invitees only their own
+ * @param {Object} session - GroupSession document
+ * @param {string} userId - Viewing user
+ * @returns {Object} Session for the response
+ */
+const toView = (session, userId) => {
+  const view = session.toObject();
+  const isHost = session.isHost(userId);
+  view.roomId = String(session._id);
+  view.invites = session.invites
+    // A populated invite of a since-deleted user has no user left to show
+    .filter(invite => invite.user)
+    .filter(invite => isHost || String(invite.user._id || invite.user) === String(userId))
+    .map(invite => ({
+      user: invite.user,
+      acceptedAt: invite.acceptedAt,
+      url: inviteUrl(invite.token)
+    }));
+  if (!isHost) {
+    delete view.admitted;
+    delete view.removed;
+  }
+  return view;
+};
+
+// Check invitee ids and turn them into invites with fresh tokens
+const buildInvites = async (inviteeIds, hostId, existing = []) => {
+  if (!Array.isArray(inviteeIds) || inviteeIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'inviteeIds must be an array of user ids.' };
+  }
+
+  const alreadyInvited = new Set(existing.map(invite => String(invite.user)));
+  const ids = [...new Set(inviteeIds.map(String))].filter(id => id !== String(hostId) && !alreadyInvited.has(id));
+  const found = await User.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    return { error: 'Some invitees were not found.' };
+  }
+
+  return { invites: ids.map(user => ({ user, token: crypto.randomBytes(24).toString('hex') })) };
+};
+
+// Load a session the current user hosts
+const loadHostedSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid session id.' });
+    return null;
+  }
+  const session = await GroupSession.findOne({ _id: req.params.id, host: req.user.userId });
+  if (!session) {
+    res.status(404).json({ message: 'Group session not found' });
+    return null;
+  }
+  return session;
+};
+
+// POST /group-sessions - Schedule a group session and invite users (doctors only)
+// Body: { title, description, scheduledStart (ISO date-time), durationMinutes, maxParticipants, inviteeIds }
+router.post('/group-sessions', auth, roleCheck(['doctor']), async (req, res) => {
+  try {
+    const { title, description, scheduledStart, durationMinutes = 60, maxParticipants, inviteeIds = [] } = req.body;
+
+    const start = new Date(scheduledStart);
+    if (!scheduledStart || Number.isNaN(start.getTime()) || start <= new Date()) {
+      return res.status(400).json({ message: 'scheduledStart must be a future date and time.' });
+    }
+    const duration = Number(durationMinutes);
+    if (!Number.isInteger(duration) || duration < 15 || duration > 480) {
+      return res.status(400).json({ message: 'durationMinutes must be a whole number between 15 and 480.' });
+    }
+
+    const { invites, error } = await buildInvites(inviteeIds, req.user.userId);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const session = new GroupSession({
+      host: req.user.userId,
+      title,
+      description,
+      scheduledStart: start,
+      scheduledEnd: new Date(start.getTime() + duration * 60 * 1000),
+      maxParticipants,
+      invites
+    });
+    await session.save();
+
+    res.status(201).json({ message: 'Group session scheduled successfully', session: toView(session, req.user.userId) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to schedule group session', error: error.message });
+  }
+});
+
+// GET /group-sessions - Sessions you host or are invited to (?upcoming=true for ones not yet over)
+router.get('/group-sessions', auth, async (req, res) => {
+  try {
+    const query = { $or: [{ host: req.user.userId }, { 'invites.user': req.user.userId }] };
+    if (req.query.upcoming === 'true') {
+      query.status = 'scheduled';
+      query.scheduledEnd = { $gt: new Date() };
+    }
+
+    const sessions = await GroupSession.find(query)
+      .populate('host', 'name department')
+      .populate('invites.user', 'name')
+      .sort({ scheduledStart: -1 });
+
+    res.status(200).json({ sessions: sessions.map(session => toView(session, req.user.userId)) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch group sessions', error: error.message });
+  }
+});
+
+// GET /group-sessions/invites/:token - Open an invite link; it only works for the invited account
+router.get('/group-sessions/invites/:token', auth, async (req, res) => {
+  try {
+    const session = await GroupSession.findOne({ 'invites.token': req.params.token });
+    if (!session) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    const invite = session.invites.find(candidate => candidate.token === req.params.token);
+    if (String(invite.user) !== req.user.userId) {
+      return res.status(403).json({ message: 'This invite belongs to another account.' });
+    }
+    if (session.status === 'cancelled') {
+      return res.status(410).json({ message: 'This group session was cancelled.' });
+    }
+
+    if (!invite.acceptedAt) {
+      await GroupSession.updateOne(
+        { _id: session._id, 'invites.token': req.params.token },
+        { $set: { 'invites.$.acceptedAt': new Date() } }
+      );
+      invite.acceptedAt = new Date();
+    }
+
+    await session.populate('host', 'name department');
+    res.status(200).json({ session: toView(session, req.user.userId) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to open invite', error: error.message });
+  }
+});
+
+// GET /group-sessions/:id - One session (its host or invitees)
+router.get('/group-sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid session id.' });
+    }
+
+    const session = await GroupSession.findOne({
+      _id: req.params.id,
+      $or: [{ host: req.user.userId }, { 'invites.user': req.user.userId }]
+    })
+      .populate('host', 'name department')
+      .populate('invites.user', 'name');
+    if (!session) {
+      return res.status(404).json({ message: 'Group session not found' });
+    }
+
+    res.status(200).json({ session: toView(session, req.user.userId) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch group session', error: error.message });
+  }
+});
+
+// POST /group-sessions/:id/invites - Invite more users (host only). Body: { inviteeIds }
+router.post('/group-sessions/:id/invites', auth, roleCheck(['doctor']), async (req, res) => {
+  try {
+    const session = await loadHostedSession(req, res);
+    if (!session) return;
+    if (session.status !== 'scheduled') {
+      return res.status(400).json({ message: 'Cannot invite users to a cancelled session.' });
+    }
+
+    const { invites, error } = await buildInvites(req.body.inviteeIds, req.user.userId, session.invites);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    session.invites.push(...invites);
+    await session.save();
+
+    res.status(200).json({ message: 'Invites sent successfully', session: toView(session, req.user.userId) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to invite users', error: error.message });
+  }
+});
+
+// PATCH /group-sessions/:id/cancel - Cancel a scheduled session (host only)
+router.patch('/group-sessions/:id/cancel', auth, roleCheck(['doctor']), async (req, res) => {
+  try {
+    const session = await loadHostedSession(req, res);
+    if (!session) return;
+
+    session.status = 'cancelled';
+    await session.save();
+
+    res.status(200).json({ message: 'Group session cancelled successfully', session: toView(session, req.user.userId) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to cancel group session', error: error.message });
+  }
+});
+
+module.exports = router;
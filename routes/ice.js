@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middlewares/auth');
+const { getIceServers } = require('../services/iceService');
+
+// GET /ice-servers - STUN/TURN servers for WebRTC, with short-lived TURN credentials.
+// Fetch again before expiresAt; credentials are also sent on join-room.
+router.get('/ice-servers', auth, (req, res) => {
+  try {
+    res.status(200).json(getIceServers(req.user.userId));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to issue ICE servers', error: error.message });
+  }
+});
+
+module.exports = router;
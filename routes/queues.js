@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+
+// GET /queues - Live doctor waiting queues (admin only)
+router.get('/queues', auth, roleCheck(['admin']), async (req, res) => {
+  try {
+    const callQueue = req.app.get('callQueue');
+    const queues = callQueue ? await callQueue.snapshot() : [];
+
+    const doctors = await User.find({ _id: { $in: queues.map(queue => queue.doctorId) } }).select('name');
+    const names = new Map(doctors.map(doctor => [String(doctor._id), doctor.name]));
+
+    res.status(200).json({
+      queues: queues.map(queue => ({ ...queue, doctorName: names.get(queue.doctorId) || null }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch queues', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,141 @@
 const Report = require('../models/Report')
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const router = express.Router();
 const auth = require('../middlewares/auth')
+const User = require('../models/User');
+const ReportAccessLog = require('../models/ReportAccessLog');
+const {
+  getQueuesForRole,
+  getCaseScope,
+  getInvestigatorRoles,
+  canHandleReport,
+  generateFollowUpCode,
+  hashFollowUpCode,
+  findByFollowUpCode,
+  toFollowUpView
+} = require('../services/reportService');
+const {
+  getEvidenceSettings,
+  evidenceUpload,
+  addEvidence,
+  discardEvidence,
+  getEvidencePath,
+  removeEvidence
+} = require('../services/reportEvidenceService');
+const {
+  getView,
+  getReadFilter,
+  logReportAccess,
+  presentReports
+} = require('../services/reportAccessService');
+const { loadCategories, resolveCategory, checkDetails, getSubtreeIds } = require('../services/reportCategoryService');
+
+// Fields a reporter may set when filing a report; category and details are checked separately
+const REPORT_FIELDS = ['date', 'time', 'reportToHR', 'anonymous', 'location', 'description', 'involvedParties'];
+
+// Case fields only investigators see
+const INTERNAL_FIELDS = '-internalNotes -activityLog';
+
+/**
+ * Load a report the current user may investigate
+ * @returns {Promise<Object|null>} Report, or null once a response has been sent
+ */
+const loadCase = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid report id.' });
+    return null;
+  }
+
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    res.status(404).json({ message: 'Report not found' });
+    return null;
+  }
+  if (!canHandleReport(report, req.user.role)) {
+    res.status(403).json({ message: 'Access denied.' });
+    return null;
+  }
+  return report;
+};
+
+/**
+ * A case after a change, redacted for the current user like any other read (and logged)
+ * @returns {Promise<Object|null>} Redacted report, or null if the change took it out of their queues
+ */
+const presentCase = async (req, report) => {
+  await report.populate([
+    { path: 'user', select: 'name email' },
+    { path: 'category', select: 'name slug routing' },
+    { path: 'assignee', select: 'name role' }
+  ]);
+  const [redacted] = await presentReports(req, [report]);
+  return redacted || null;
+};
+
+// Errors thrown by the case workflow carry their own status code
+const sendCaseError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message, error: error.message });
+};
+
+/**
+ * Parse evidence files (field "attachments") from a multipart request into req.files
+ * JSON requests pass through untouched.
+ * @returns {Promise<boolean>} false once an error response has been sent
+ */
+const readEvidence = (req, res) => new Promise((resolve) => {
+  evidenceUpload(req, res, (error) => {
+    if (!error) return resolve(true);
+
+    const { maxFileBytes, maxFiles } = getEvidenceSettings();
+    let message = 'Failed to read attachments';
+    if (error.code === 'LIMIT_FILE_SIZE') message = `Files can be at most ${Math.round(maxFileBytes / (1024 * 1024))} MB.`;
+    if (error.code === 'LIMIT_FILE_COUNT') message = `Attach at most ${maxFiles} files.`;
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') message = 'Send files in the "attachments" field.';
+    res.status(error instanceof multer.MulterError ? 400 : 500).json({ message, error: error.message });
+    resolve(false);
+  });
+});
+
+/**
+ * Add uploaded evidence to a report and save it; files are removed again if the save fails
+ * @returns {Promise<Object[]>} Added attachments
+ */
+const saveWithEvidence = async (report, files, uploader) => {
+  const added = await addEvidence(report, files, uploader);
+  try {
+    await report.save();
+  } catch (error) {
+    await discardEvidence(report, added);
+    throw error;
+  }
+  return added;
+};
+
+// Send an evidence file as a download, never rendered inline, and log it
+const sendEvidence = async (req, res, report, view) => {
+  const { attachmentId } = req.params;
+  const attachment = mongoose.Types.ObjectId.isValid(attachmentId) && report.attachments.id(attachmentId);
+  if (!attachment) {
+    return res.status(404).json({ message: 'Attachment not found' });
+  }
+
+  await logReportAccess(req, [{ report, view }], 'download');
+  res.download(getEvidencePath(report, attachment), attachment.originalName, {
+    headers: { 'Content-Type': attachment.mimeType, 'X-Content-Type-Options': 'nosniff' }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ message: 'Attachment file is missing' });
+    }
+  });
+};
 
 // Health check route
 router.get('/ping', (req, res) => {
@@ -9,16 +143,231 @@ router.get('/ping', (req, res) => {
 })
 
 // POST /report - Create a new report (authenticated users)
+// Body: { category, details, date, time, location, description, involvedParties, reportToHR, anonymous }
+// where details answers the category's fields (see GET /report-categories).
+// Send JSON, or multipart with evidence files in "attachments" (PDF or images) and details as a JSON string.
+// Anonymous reports aren't linked to the reporter; they get a follow-up code instead,
+// returned only in this response.
 router.post("/report", auth, async (req, res) => {
   try {
-    const report = new Report({
-      ...req.body,
-      user: req.user.userId // Attach user ID from token
+    if (!(await readEvidence(req, res))) return;
+
+    const fields = {};
+    REPORT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    let { details } = req.body;
+    if (typeof details === 'string') {
+      try {
+        details = JSON.parse(details);
+      } catch (error) {
+        return res.status(400).json({ message: 'details must be a JSON object.' });
+      }
+    }
+    const category = await resolveCategory(req.body.category);
+
+    const report = new Report(fields);
+    report.setCategory(category);
+    report.details = checkDetails(category.fields, details);
+    let followUpCode;
+    if (report.anonymous) {
+      followUpCode = generateFollowUpCode();
+      report.followUpCodeHash = hashFollowUpCode(followUpCode);
+    } else {
+      report.user = req.user.userId; // Attach user ID from token
+    }
+    await saveWithEvidence(report, req.files, { userId: report.user, from: 'reporter' });
+
+    const saved = report.toObject();
+    delete saved.followUpCodeHash;
+    res.status(201).json({
+      message: "Report submitted successfully",
+      report: saved,
+      ...(followUpCode && { followUpCode })
     });
-    await report.save();
-    res.status(201).json({ message: "Report submitted successfully", report });
   } catch (err) {
-    res.status(500).json({ message: "Failed to save report", error: err.message });
+    sendCaseError(res, err, "Failed to save report");
+  }
+});
+
+// POST /reports/follow-up - Check an anonymous report's status and messages. Body: { code }
+// The code goes in the body so it doesn't end up in request logs. No login, so nothing ties it to an account.
+router.post('/reports/follow-up', async (req, res) => {
+  try {
+    const report = await findByFollowUpCode(req.body.code);
+    if (!report) {
+      return res.status(404).json({ message: 'No report matches this code' });
+    }
+
+    await logReportAccess(req, [{ report, view: 'follow-up' }]);
+    res.status(200).json({ report: toFollowUpView(report) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch report', error: error.message });
+  }
+});
+
+// POST /reports/follow-up/messages - Message investigators about an anonymous report. Body: { code, message }
+router.post('/reports/follow-up/messages', async (req, res) => {
+  try {
+    const { code, message } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ message: 'Message is required.' });
+    }
+
+    const report = await findByFollowUpCode(code);
+    if (!report) {
+      return res.status(404).json({ message: 'No report matches this code' });
+    }
+
+    report.messages.push({ from: 'reporter', body: message });
+    await report.save();
+
+    res.status(201).json({ message: 'Message sent successfully', report: toFollowUpView(report) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to send message', error: error.message });
+  }
+});
+
+// POST /reports/follow-up/attachments - Add evidence to an anonymous report.
+// Multipart: code, plus files in "attachments"
+router.post('/reports/follow-up/attachments', async (req, res) => {
+  try {
+    if (!(await readEvidence(req, res))) return;
+
+    const report = await findByFollowUpCode(req.body.code);
+    if (!report) {
+      return res.status(404).json({ message: 'No report matches this code' });
+    }
+    if (report.status === 'closed') {
+      return res.status(409).json({ message: 'Evidence cannot be added to a closed report.' });
+    }
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({ message: 'Attach at least one file.' });
+    }
+
+    await saveWithEvidence(report, req.files, { from: 'reporter' });
+    res.status(201).json({ message: 'Evidence added successfully', report: toFollowUpView(report) });
+  } catch (error) {
+    sendCaseError(res, error, 'Failed to add evidence');
+  }
+});
+
+// POST /reports/follow-up/attachments/:attachmentId - Download evidence on an anonymous report. Body: { code }
+router.post('/reports/follow-up/attachments/:attachmentId', async (req, res) => {
+  try {
+    const report = await findByFollowUpCode(req.body.code);
+    if (!report) {
+      return res.status(404).json({ message: 'No report matches this code' });
+    }
+
+    await sendEvidence(req, res, report, 'follow-up');
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to download attachment', error: error.message });
+  }
+});
+
+/**
+ * Load a report for its conversation: investigators, or the reporter of a named report
+ * @returns {Promise<Object|null>} { report, from } or null once a response has been sent
+ */
+const loadReportConversation = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid report id.' });
+    return null;
+  }
+
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    res.status(404).json({ message: 'Report not found' });
+    return null;
+  }
+
+  if (canHandleReport(report, req.user.role)) return { report, from: 'investigator' };
+  if (report.user && String(report.user) === req.user.userId) return { report, from: 'reporter' };
+
+  res.status(403).json({ message: 'Access denied.' });
+  return null;
+};
+
+// GET /reports/:id/messages - Conversation on a report (investigators, or its named reporter)
+router.get('/reports/:id/messages', auth, async (req, res) => {
+  try {
+    const conversation = await loadReportConversation(req, res);
+    if (!conversation) return;
+
+    await conversation.report.populate('messages.author', 'name role');
+    await logReportAccess(req, [{ report: conversation.report, view: getView(conversation.report, req.user) }]);
+    res.status(200).json({ messages: conversation.report.messages });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch messages', error: error.message });
+  }
+});
+
+// POST /reports/:id/messages - Reply on a report. Body: { message }
+router.post('/reports/:id/messages', auth, async (req, res) => {
+  try {
+    const { message } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ message: 'Message is required.' });
+    }
+
+    const conversation = await loadReportConversation(req, res);
+    if (!conversation) return;
+
+    const { report, from } = conversation;
+    report.messages.push({
+      from,
+      author: from === 'investigator' ? req.user.userId : undefined,
+      body: message
+    });
+    await report.save();
+
+    res.status(201).json({ message: 'Message sent successfully', messages: report.messages });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to send message', error: error.message });
+  }
+});
+
+// POST /reports/:id/attachments - Add evidence (investigators, or its named reporter).
+// Multipart: files in "attachments"
+router.post('/reports/:id/attachments', auth, async (req, res) => {
+  try {
+    const conversation = await loadReportConversation(req, res);
+    if (!conversation) return;
+
+    const { report, from } = conversation;
+    if (report.status === 'closed') {
+      return res.status(409).json({ message: 'Evidence cannot be added to a closed report.' });
+    }
+
+    if (!(await readEvidence(req, res))) return;
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({ message: 'Attach at least one file.' });
+    }
+
+    const attachments = await saveWithEvidence(report, req.files, { userId: req.user.userId, from });
+    res.status(201).json({ message: 'Evidence added successfully', attachments });
+  } catch (error) {
+    sendCaseError(res, error, 'Failed to add evidence');
+  }
+});
+
+// GET /reports/:id/attachments/:attachmentId - Download evidence (investigators, or its named reporter)
+router.get('/reports/:id/attachments/:attachmentId', auth, async (req, res) => {
+  try {
+    const conversation = await loadReportConversation(req, res);
+    if (!conversation) return;
+
+    await sendEvidence(req, res, conversation.report, getView(conversation.report, req.user));
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to download attachment', error: error.message });
   }
 });
 
@@ -26,21 +375,54 @@ router.post("/report", auth, async (req, res) => {
 router.get('/reports', auth, async (req, res) => {
   try {
     const reports = await Report.find({ user: req.user.userId })
+      .select(INTERNAL_FIELDS)
       .populate('user', 'name email')
+      .populate('category', 'name slug routing')
       .sort({ createdAt: -1 });
 
-    res.status(200).json({ reports });
+    res.status(200).json({ reports: await presentReports(req, reports) });
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch reports', error: error.message });
   }
 });
 
-// GET /reports/all - Fetch all reports with pagination (admin/doctor only)
+// GET /reports/all - Cases in the queues you work, with pagination (admin/doctor/hr; the HR queue is
+// HR-only, the safety queue is for admins and HR, and doctors only get health-related reports)
+// Filters: ?queue=hr|safety|general&status=in-progress&severity=high&assignee=me|<userId>&breached=true&category=<id>
+// (a category includes its subcategories)
 router.get('/reports/all', auth, async (req, res) => {
   try {
-    // Check if user has admin or doctor role
-    if (!['admin', 'doctor'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied. Admin or Doctor role required.' });
+    const scope = getCaseScope(req.user.role);
+    if (!scope) {
+      return res.status(403).json({ message: 'Access denied. Admin, Doctor or HR role required.' });
+    }
+
+    const { queue, status, severity, assignee, breached, category } = req.query;
+    if (queue && !getQueuesForRole(req.user.role).includes(queue)) {
+      return res.status(403).json({ message: 'Access denied to this queue.' });
+    }
+
+    const query = { ...scope };
+    if (queue) query.queue = queue;
+    if (status) query.status = status;
+    if (severity) query.severity = severity;
+    if (assignee) {
+      const assigneeId = assignee === 'me' ? req.user.userId : assignee;
+      if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+        return res.status(400).json({ message: 'Invalid assignee.' });
+      }
+      query.assignee = assigneeId;
+    }
+    if (category) {
+      if (!mongoose.Types.ObjectId.isValid(category)) {
+        return res.status(400).json({ message: 'Invalid category.' });
+      }
+      query.category = { $in: getSubtreeIds(await loadCategories(), category) };
+    }
+    if (breached === 'true') {
+      // Open cases past their due date
+      query.slaDueAt = { $lt: new Date() };
+      query.status = { $nin: Report.FINISHED_STATUSES };
     }
 
     // Pagination parameters
@@ -50,16 +432,19 @@ router.get('/reports/all', auth, async (req, res) => {
 
     // Fetch paginated reports from the database
     const [reports, total] = await Promise.all([
-      Report.find()
+      Report.find(query)
+        .select(INTERNAL_FIELDS)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
-        .populate('user', 'name email'),
-      Report.countDocuments()
+        .populate('user', 'name email')
+        .populate('category', 'name slug routing')
+        .populate('assignee', 'name role'),
+      Report.countDocuments(query)
     ]);
 
     res.status(200).json({
-      reports,
+      reports: await presentReports(req, reports),
       total,
       page,
       pages: Math.ceil(total / limit),
@@ -71,73 +456,202 @@ router.get('/reports/all', auth, async (req, res) => {
   }
 });
 
-// GET /rep_all - Fetch all reports or specific report by ID (no auth - consider adding auth if needed)
-router.get('/rep_all', async (req, res) => {
+// GET /rep_all - Every report you may read, or one by ?_id=. Reporters get their own reports;
+// investigators the cases they work, redacted for their role (see services/reportAccessService).
+// Each report returned is recorded in the access log.
+router.get('/rep_all', auth, async (req, res) => {
   try {
     const { _id } = req.query;
-    
+    const filter = getReadFilter(req.user);
+
     if (_id) {
-      // Fetch specific report by ID
-      const report = await Report.findById(_id).populate('user', 'name email');
+      if (!mongoose.Types.ObjectId.isValid(_id)) {
+        return res.status(400).json({ message: 'Invalid report id.' });
+      }
+      const report = await Report.findOne({ $and: [{ _id }, filter] })
+        .populate('user', 'name email')
+        .populate('category', 'name slug routing')
+        .populate('assignee', 'name role');
       if (!report) {
         return res.status(404).json({ message: 'Report not found' });
       }
-      return res.status(200).json({ report });
+      const [redacted] = await presentReports(req, [report]);
+      return res.status(200).json({ report: redacted });
     }
-    
-    // Fetch all reports
-    const reports = await Report.find()
+
+    const reports = await Report.find(filter)
       .populate('user', 'name email')
+      .populate('category', 'name slug routing')
+      .populate('assignee', 'name role')
       .sort({ createdAt: -1 });
-    res.status(200).json({ reports });
+    res.status(200).json({ reports: await presentReports(req, reports) });
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch reports', error: error.message });
   }
 });
 
-// PATCH /reports/:id/status - Update report status (admin/doctor only)
+// GET /reports/:id/case - Full case with internal notes and activity log (investigators of its queue)
+router.get('/reports/:id/case', auth, async (req, res) => {
+  try {
+    const report = await loadCase(req, res);
+    if (!report) return;
+
+    await report.populate([
+      { path: 'user', select: 'name email' },
+      { path: 'category', select: 'name slug routing' },
+      { path: 'assignee', select: 'name role' },
+      { path: 'internalNotes.author', select: 'name role' },
+      { path: 'activityLog.by', select: 'name role' }
+    ]);
+    const [redacted] = await presentReports(req, [report]);
+    res.status(200).json({ report: redacted });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch case', error: error.message });
+  }
+});
+
+// PATCH /reports/:id/status - Move a case through the workflow. Body: { status, reason } (reason required)
 router.patch('/reports/:id/status', auth, async (req, res) => {
   try {
-    // Check if user has admin or doctor role
-    if (!['admin', 'doctor'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied. Admin or Doctor role required.' });
-    }
-    
-    const { status } = req.body;
+    const { status, reason } = req.body;
     if (!status) {
       return res.status(400).json({ message: 'Status is required.' });
     }
-    
-    const report = await Report.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate('user', 'name email');
-    
-    if (!report) {
-      return res.status(404).json({ message: 'Report not found' });
+
+    const report = await loadCase(req, res);
+    if (!report) return;
+
+    report.transitionTo(status, { by: req.user.userId, reason });
+    await report.save();
+
+    res.status(200).json({ message: 'Report status updated successfully', report: await presentCase(req, report) });
+  } catch (error) {
+    sendCaseError(res, error, 'Failed to update report status');
+  }
+});
+
+// PATCH /reports/:id/assign - Assign an investigator who works the case's queue. Body: { assigneeId }
+router.patch('/reports/:id/assign', auth, async (req, res) => {
+  try {
+    const { assigneeId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(assigneeId)) {
+      return res.status(400).json({ message: 'A valid assigneeId is required.' });
+    }
+
+    const report = await loadCase(req, res);
+    if (!report) return;
+
+    const assignee = await User.findOne({ _id: assigneeId, role: { $in: getInvestigatorRoles(report) } }).select('name role');
+    if (!assignee) {
+      return res.status(400).json({ message: 'Assignee must be an investigator for this queue.' });
     }
-    
-    res.status(200).json({ message: 'Report status updated successfully', report });
+
+    report.logActivity('assigned', {
+      from: report.assignee ? String(report.assignee) : undefined,
+      to: String(assignee._id),
+      by: req.user.userId
+    });
+    report.assignee = assignee._id;
+    await report.save();
+
+    res.status(200).json({ message: 'Case assigned successfully', report: await presentCase(req, report) });
   } catch (error) {
-    res.status(500).json({ message: 'Failed to update report status', error: error.message });
+    sendCaseError(res, error, 'Failed to assign case');
   }
 });
 
-// DELETE /reports/:id - Delete a report by ID (admin/doctor only)
-router.delete('/reports/:id', auth, async (req, res) => {
+// PATCH /reports/:id/case - Change severity or category. Body: { severity, category, details, reason }
+// A new category brings its routing, which can move the case to another queue, and its own fields:
+// answers to fields it shares with the old category are kept unless details (sent with the category)
+// replaces them, the rest are dropped, and the change is recorded in the activity log.
+router.patch('/reports/:id/case', auth, async (req, res) => {
   try {
-    // Check if user has admin or doctor role
-    if (!['admin', 'doctor'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied. Admin or Doctor role required.' });
+    const report = await loadCase(req, res);
+    if (!report) return;
+
+    const { severity, category, details: submitted = {}, reason } = req.body;
+    if (typeof submitted !== 'object' || submitted === null || Array.isArray(submitted)) {
+      return res.status(400).json({ message: 'details must be a JSON object.' });
     }
-    
-    const report = await Report.findById(req.params.id);
-    if (!report) {
-      return res.status(404).json({ message: 'Report not found' });
+
+    let changed = false;
+    if (severity !== undefined && severity !== report.severity) {
+      report.logActivity('severity', { from: report.severity, to: severity, by: req.user.userId, reason });
+      report.severity = severity;
+      changed = true;
     }
-    
+    if (category !== undefined && String(category) !== String(report.category)) {
+      const described = await resolveCategory(category);
+      const previous = Object.fromEntries(report.details || []);
+      const kept = Object.fromEntries(described.fields
+        .filter(field => previous[field.key] !== undefined)
+        .map(field => [field.key, previous[field.key]]));
+      const details = checkDetails(described.fields, { ...kept, ...submitted });
+
+      report.logActivity('category', { from: String(report.category), to: String(described.category._id), by: req.user.userId, reason });
+      if (JSON.stringify(details) !== JSON.stringify(previous)) {
+        report.logActivity('details', { from: JSON.stringify(previous), to: JSON.stringify(details), by: req.user.userId, reason });
+      }
+      report.setCategory(described);
+      report.details = details;
+      changed = true;
+    }
+    if (!changed) {
+      return res.status(400).json({ message: 'Nothing to change. Send severity and/or category.' });
+    }
+
+    await report.save();
+    res.status(200).json({ message: 'Case updated successfully', report: await presentCase(req, report) });
+  } catch (error) {
+    sendCaseError(res, error, 'Failed to update case');
+  }
+});
+
+// POST /reports/:id/notes - Add an internal note, never shown to the reporter. Body: { note }
+router.post('/reports/:id/notes', auth, async (req, res) => {
+  try {
+    const { note } = req.body;
+    if (typeof note !== 'string' || !note.trim()) {
+      return res.status(400).json({ message: 'Note is required.' });
+    }
+
+    const report = await loadCase(req, res);
+    if (!report) return;
+
+    report.internalNotes.push({ author: req.user.userId, body: note });
+    report.logActivity('note', { by: req.user.userId });
+    await report.save();
+
+    res.status(201).json({ message: 'Note added successfully', notes: report.internalNotes });
+  } catch (error) {
+    sendCaseError(res, error, 'Failed to add note');
+  }
+});
+
+// GET /reports/:id/access-log - Who read the report and its evidence, newest first (investigators of its queue)
+router.get('/reports/:id/access-log', auth, async (req, res) => {
+  try {
+    const report = await loadCase(req, res);
+    if (!report) return;
+
+    const entries = await ReportAccessLog.find({ report: report._id })
+      .populate('viewer', 'name role')
+      .sort({ at: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500));
+    res.status(200).json({ entries });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch access log', error: error.message });
+  }
+});
+
+// DELETE /reports/:id - Delete a report by ID (investigators of its queue)
+router.delete('/reports/:id', auth, async (req, res) => {
+  try {
+    const report = await loadCase(req, res);
+    if (!report) return;
+
     await Report.findByIdAndDelete(req.params.id);
+    await removeEvidence(report);
     res.status(200).json({ message: 'Report deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Failed to delete report', error: error.message });
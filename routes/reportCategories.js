@@ -0,0 +1,84 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ReportCategory = require('../models/ReportCategory');
+const auth = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+const { loadCategories, checkParent, buildTree } = require('../services/reportCategoryService');
+
+// Fields an admin may change on a category; the slug is fixed once created
+const EDITABLE_FIELDS = ['name', 'parent', 'routing', 'fields', 'active'];
+
+const slugify = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const sendCategoryError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A category with this name or slug already exists here.' });
+  }
+  res.status(500).json({ message, error: error.message });
+};
+
+// GET /report-categories - Category tree for the report form (?all=true includes deactivated ones, admins only)
+router.get('/report-categories', auth, async (req, res) => {
+  try {
+    const includeInactive = req.query.all === 'true' && req.user.role === 'admin';
+    res.status(200).json({ categories: buildTree(await loadCategories(), { includeInactive }) });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch categories', error: error.message });
+  }
+});
+
+// POST /report-categories - Create a category (admins only)
+// Body: { name, slug, parent, routing (hr|medical|safety; inherited from the parent if omitted),
+//         fields: [{ key, label, type (text|number|date|boolean|choice), options, required }] }
+router.post('/report-categories', auth, roleCheck(['admin']), async (req, res) => {
+  try {
+    const { name, slug, parent = null, routing, fields = [] } = req.body;
+    checkParent(await loadCategories(), null, parent);
+
+    const category = new ReportCategory({ name, slug: slug || slugify(name), parent, routing, fields });
+    await category.save();
+
+    res.status(201).json({ message: 'Category created successfully', category });
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to create category');
+  }
+});
+
+// PATCH /report-categories/:id - Rename, move (parent, null for top level), reroute, change fields,
+// or deactivate/reactivate with { active }. Reports keep the category they were filed under.
+router.patch('/report-categories/:id', auth, roleCheck(['admin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid category id.' });
+    }
+
+    const category = await ReportCategory.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    if (req.body.parent !== undefined) {
+      checkParent(await loadCategories(), category._id, req.body.parent);
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+    // null clears the routing so a subcategory inherits its parent's again
+    if (req.body.routing === null) category.routing = undefined;
+    await category.save();
+
+    res.status(200).json({ message: 'Category updated successfully', category });
+  } catch (error) {
+    sendCategoryError(res, error, 'Failed to update category');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Review = require('../models/Review');
+const Appointment = require('../models/Appointment');
+const Call = require('../models/Call');
+const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+
+/**
+ * Resolve the consultation being reviewed and check the reviewer took part in it
+ * @param {Object} body - { appointmentId } or { callId }
+ * @param {string} userId - Reviewing employee
+ * @returns {Promise<Object>} { doctorId, appointment, call } or { status, message } on failure
+ */
+const resolveConsultation = async ({ appointmentId, callId }, userId) => {
+  if (Boolean(appointmentId) === Boolean(callId)) {
+    return { status: 400, message: 'Provide either appointmentId or callId.' };
+  }
+
+  const id = appointmentId || callId;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { status: 400, message: 'Invalid consultation id.' };
+  }
+
+  if (appointmentId) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment || String(appointment.user) !== String(userId)) {
+      return { status: 404, message: 'Appointment not found' };
+    }
+    if (appointment.status !== 'completed') {
+      return { status: 400, message: 'Only completed appointments can be reviewed.' };
+    }
+    return { doctorId: appointment.doctor, appointment: appointment._id };
+  }
+
+  const call = await Call.findById(callId);
+  const participants = call ? [String(call.caller), String(call.callee)] : [];
+  if (!participants.includes(String(userId))) {
+    return { status: 404, message: 'Call not found' };
+  }
+  if (call.status !== 'ended' || !call.duration) {
+    return { status: 400, message: 'Only calls that took place can be reviewed.' };
+  }
+
+  const doctorId = participants.find(id => id !== String(userId));
+  const isDoctor = await User.exists({ _id: doctorId, role: 'doctor' });
+  if (!isDoctor) {
+    return { status: 400, message: 'Only calls with a doctor can be reviewed.' };
+  }
+  return { doctorId, call: call._id };
+};
+
+// POST /reviews - Review a completed appointment or call (employees only)
+router.post('/reviews', auth, roleCheck(['employee']), async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ message: 'Rating must be a whole number from 1 to 5.' });
+    }
+
+    const consultation = await resolveConsultation(req.body, req.user.userId);
+    if (consultation.status) {
+      return res.status(consultation.status).json({ message: consultation.message });
+    }
+
+    const review = new Review({
+      doctor: consultation.doctorId,
+      user: req.user.userId,
+      appointment: consultation.appointment,
+      call: consultation.call,
+      rating,
+      comment
+    });
+    await review.save();
+
+    await Review.updateDoctorRating(consultation.doctorId);
+
+    res.status(201).json({ message: 'Review submitted successfully', review });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already reviewed this consultation.' });
+    }
+    res.status(500).json({ message: 'Failed to submit review', error: error.message });
+  }
+});
+
+// GET /doctors/:id/reviews - A doctor's reviews with rating summary (paginated)
+router.get('/doctors/:id/reviews', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid doctor id.' });
+    }
+
+    const doctor = await User.findOne({ _id: req.params.id, role: 'doctor' }).select('ratingAverage ratingCount');
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    // Pagination parameters
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const reviews = await Review.find({ doctor: doctor._id })
+      .select('rating comment createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({
+      average: doctor.ratingAverage,
+      count: doctor.ratingCount,
+      reviews,
+      page,
+      pages: Math.ceil(doctor.ratingCount / limit),
+      hasNext: page < Math.ceil(doctor.ratingCount / limit),
+      hasPrev: page > 1
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch reviews', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const TimeOff = require('../models/TimeOff');
+const User = require('../models/User');
+const auth = require('../middlewares/auth');
+const roleCheck = require('../middlewares/roleCheck');
+const { isValidDate } = require('../services/slotService');
+const { validateWeeklyHours, validateTimeRange } = require('../services/doctorService');
+const { flagConflictingAppointments, clearConflictFlags } = require('../services/timeOffService');
+
+/**
+ * Load the doctor in req.params.id if the caller is that doctor or an admin
+ * @param {Object} req - Express request with req.user
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Doctor, or null once a response was sent
+ */
+const loadManagedDoctor = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: 'Invalid doctor id.' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && String(req.user.userId) !== id) {
+    res.status(403).json({ message: 'Access denied.' });
+    return null;
+  }
+
+  const doctor = await User.findOne({ _id: id, role: 'doctor' });
+  if (!doctor) {
+    res.status(404).json({ message: 'Doctor not found' });
+    return null;
+  }
+
+  return doctor;
+};
+
+/**
+ * Validate the date range (and half-day hours) of a time off request
+ * @param {Object} body - { startDate, endDate, type, hours }
+ * @returns {Array<string>} Validation errors; empty when valid
+ */
+const validateTimeOff = ({ startDate, endDate, type, hours }) => {
+  const errors = [];
+  if (!isValidDate(startDate)) errors.push('startDate must be YYYY-MM-DD');
+  if (endDate !== undefined && !isValidDate(endDate)) errors.push('endDate must be YYYY-MM-DD');
+  if (isValidDate(startDate) && isValidDate(endDate) && endDate < startDate) {
+    errors.push('endDate must not be before startDate');
+  }
+  if (type === 'half-day') validateTimeRange(hours, 'hours', errors);
+  return errors;
+};
+
+// PUT /doctors/:id/weekly-hours - Replace a doctor's per-weekday hours (the doctor or admin)
+// An empty array goes back to using workingHours every day
+router.put('/doctors/:id/weekly-hours', auth, async (req, res) => {
+  try {
+    const { weeklyHours } = req.body;
+    const errors = validateWeeklyHours(weeklyHours);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid weekly hours', errors });
+    }
+
+    const doctor = await loadManagedDoctor(req, res);
+    if (!doctor) return;
+
+    doctor.weeklyHours = weeklyHours;
+    await doctor.save();
+
+    res.status(200).json({ message: 'Weekly hours updated successfully', weeklyHours: doctor.weeklyHours });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to update weekly hours', error: error.message });
+  }
+});
+
+// GET /doctors/:id/time-off - A doctor's leave and half days plus public holidays (?from=&to=)
+router.get('/doctors/:id/time-off', auth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: 'from and to must be YYYY-MM-DD.' });
+    }
+
+    const doctor = await loadManagedDoctor(req, res);
+    if (!doctor) return;
+
+    const timeOff = await TimeOff.findForDoctor(doctor._id, from || '0000-01-01', to || '9999-12-31')
+      .sort({ startDate: 1 });
+    res.status(200).json({ timeOff });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch time off', error: error.message });
+  }
+});
+
+// POST /doctors/:id/time-off - Add leave or a half day; flags bookings that now clash
+router.post('/doctors/:id/time-off', auth, async (req, res) => {
+  try {
+    const { type, startDate, hours, reason } = req.body;
+    const endDate = req.body.endDate || startDate;
+
+    if (!['leave', 'half-day'].includes(type)) {
+      return res.status(400).json({ message: 'type must be leave or half-day.' });
+    }
+    const errors = validateTimeOff({ startDate, endDate, type, hours });
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid time off', errors });
+    }
+
+    const doctor = await loadManagedDoctor(req, res);
+    if (!doctor) return;
+
+    const timeOff = new TimeOff({
+      doctor: doctor._id,
+      type,
+      startDate,
+      endDate,
+      hours: type === 'half-day' ? hours : undefined,
+      reason,
+      createdBy: req.user.userId
+    });
+    await timeOff.save();
+
+    const conflicts = await flagConflictingAppointments(timeOff);
+
+    res.status(201).json({ message: 'Time off added successfully', timeOff, conflicts });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to add time off', error: error.message });
+  }
+});
+
+// DELETE /doctors/:id/time-off/:timeOffId - Remove leave or a half day
+router.delete('/doctors/:id/time-off/:timeOffId', auth, async (req, res) => {
+  try {
+    const doctor = await loadManagedDoctor(req, res);
+    if (!doctor) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.timeOffId)) {
+      return res.status(400).json({ message: 'Invalid time off id.' });
+    }
+
+    const timeOff = await TimeOff.findOneAndDelete({ _id: req.params.timeOffId, doctor: doctor._id });
+    if (!timeOff) {
+      return res.status(404).json({ message: 'Time off not found' });
+    }
+
+    await clearConflictFlags(timeOff._id);
+    res.status(200).json({ message: 'Time off removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to remove time off', error: error.message });
+  }
+});
+
+// GET /holidays - Public holidays (any logged-in user)
+router.get('/holidays', auth, async (req, res) => {
+  try {
+    const holidays = await TimeOff.find({ type: 'holiday' }).sort({ startDate: 1 });
+    res.status(200).json({ holidays });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch holidays', error: error.message });
+  }
+});
+
+// POST /holidays - Add a public holiday for every doctor (admin only)
+router.post('/holidays', auth, roleCheck(['admin']), async (req, res) => {
+  try {
+    const { startDate, reason } = req.body;
+    const endDate = req.body.endDate || startDate;
+
+    const errors = validateTimeOff({ startDate, endDate, type: 'holiday' });
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid holiday', errors });
+    }
+
+    const holiday = new TimeOff({ type: 'holiday', startDate, endDate, reason, createdBy: req.user.userId });
+    await holiday.save();
+
+    const conflicts = await flagConflictingAppointments(holiday);
+
+    res.status(201).json({ message: 'Holiday added successfully', holiday, conflicts });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to add holiday', error: error.message });
+  }
+});
+
+// DELETE /holidays/:id - Remove a public holiday (admin only)
+router.delete('/holidays/:id', auth, roleCheck(['admin']), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid holiday id.' });
+    }
+
+    const holiday = await TimeOff.findOneAndDelete({ _id: req.params.id, type: 'holiday' });
+    if (!holiday) {
+      return res.status(404).json({ message: 'Holiday not found' });
+    }
+
+    await clearConflictFlags(holiday._id);
+    res.status(200).json({ message: 'Holiday removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to remove holiday', error: error.message });
+  }
+});
+
+module.exports = router;
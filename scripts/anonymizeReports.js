@@ -0,0 +1,35 @@
+/**
+ * Remove the reporter from reports filed as anonymous
+ *
+ * Reports used to store the submitting user even when `anonymous` was set.
+ * This unsets `user` on those reports. They have no follow-up code, so their
+ * reporters can't follow up on them anonymously.
+ *
+ * Usage: node scripts/anonymizeReports.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Report = require('../models/Report');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  const filter = { anonymous: true, user: { $exists: true, $ne: null } };
+  const count = await Report.countDocuments(filter);
+
+  if (!dryRun) {
+    await Report.updateMany(filter, { $unset: { user: 1 } });
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Removed the reporter from ${count} anonymous reports`);
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,97 @@
+/**
+ * Link legacy appointments to doctor accounts
+ *
+ * Resolves the free-text `doctorName` on appointments without a `doctor`
+ * reference to a unique doctor user, and fills in `start`/`end` where the
+ * stored date and time are in the slot format. An appointment whose slot is
+ * already booked with that doctor is linked without `start`/`end` and listed
+ * for manual review.
+ *
+ * Usage: node scripts/migrateAppointmentDoctors.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { isValidDate, isValidTime, buildSlots } = require('../services/slotService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// "Dr. Jane Smith " -> "jane smith"
+const normalizeName = (name = '') => name.trim().toLowerCase().replace(/^dr\.?\s+/, '').replace(/\s+/g, ' ');
+
+const run = async () => {
+  await connectDB();
+
+  const doctors = await User.find({ role: 'doctor' });
+  const doctorsByName = new Map();
+  doctors.forEach(doctor => {
+    const key = normalizeName(doctor.name);
+    doctorsByName.set(key, [...(doctorsByName.get(key) || []), doctor]);
+  });
+
+  const appointments = await Appointment.find({ $or: [{ doctor: { $exists: false } }, { doctor: null }] });
+  const unresolved = [];
+  const clashes = [];
+  let linked = 0;
+
+  for (const appointment of appointments) {
+    const matches = doctorsByName.get(normalizeName(appointment.doctorName)) || [];
+    if (matches.length !== 1) {
+      unresolved.push({
+        id: appointment._id.toString(),
+        doctorName: appointment.doctorName,
+        reason: matches.length ? 'ambiguous name' : 'no matching doctor'
+      });
+      continue;
+    }
+
+    const doctor = matches[0];
+    const update = { doctor: doctor._id };
+
+    if (!appointment.start && isValidDate(appointment.date) && isValidTime(appointment.time)) {
+      const slot = buildSlots(doctor, appointment.date).find(s => s.time === appointment.time);
+      if (slot) {
+        update.start = slot.start;
+        update.end = slot.end;
+      }
+    }
+
+    if (!dryRun) {
+      // updateOne skips document validation, so unrelated legacy fields can't block the migration
+      try {
+        await Appointment.updateOne({ _id: appointment._id }, { $set: update });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        // Another live booking holds this doctor's slot; link the doctor alone
+        clashes.push({
+          id: appointment._id.toString(),
+          doctorName: appointment.doctorName,
+          date: appointment.date,
+          time: appointment.time
+        });
+        await Appointment.updateOne({ _id: appointment._id }, { $set: { doctor: doctor._id } });
+      }
+      await User.updateOne({ _id: doctor._id }, { $addToSet: { appointments: appointment._id } });
+    }
+    linked++;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Linked ${linked} of ${appointments.length} appointments to doctors`);
+  if (unresolved.length) {
+    console.log(`${unresolved.length} appointments need manual review:`);
+    console.table(unresolved);
+  }
+  if (clashes.length) {
+    console.log(`${clashes.length} appointments clash with another booking of the same slot and were linked without a start time:`);
+    console.table(clashes);
+  }
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+/**
+ * Move the double-booking guard to the holdsSlot flag
+ *
+ * Sets `holdsSlot` on every appointment from its status, drops the old
+ * doctor/start index that filtered on status with $in (which servers before
+ * MongoDB 6.0 refuse to create), and builds the new one.
+ *
+ * Usage: node scripts/migrateAppointmentSlotIndex.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Appointment = require('../models/Appointment');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  const holding = { status: { $ne: 'cancelled' }, holdsSlot: { $ne: true } };
+  const released = { status: 'cancelled', holdsSlot: { $ne: false } };
+  const [toHold, toRelease] = await Promise.all([
+    Appointment.countDocuments(holding),
+    Appointment.countDocuments(released)
+  ]);
+
+  const indexes = await Appointment.collection.indexes();
+  const oldIndex = indexes.find(index => index.name === 'doctor_1_start_1');
+
+  if (!dryRun) {
+    // updateMany skips validation, so legacy documents can't block the migration
+    await Appointment.updateMany(holding, { $set: { holdsSlot: true } });
+    await Appointment.updateMany(released, { $set: { holdsSlot: false } });
+    if (oldIndex) await Appointment.collection.dropIndex(oldIndex.name);
+    // Fails if existing data already has two live bookings for one slot; resolve those first
+    await Appointment.createIndexes();
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Set holdsSlot on ${toHold + toRelease} appointments` +
+    `${oldIndex ? ' and replaced the old slot index' : ''}`);
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
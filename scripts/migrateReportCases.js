@@ -0,0 +1,53 @@
+/**
+ * Bring existing reports into the case workflow
+ *
+ * Routes reportToHR reports to the HR queue, sets the default severity and
+ * SLA due date, marks already-resolved reports as resolved at their last
+ * update, and starts each activity log with the submission.
+ *
+ * Usage: node scripts/migrateReportCases.js [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Report = require('../models/Report');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await connectDB();
+
+  const reports = await Report.find({ queue: { $exists: false } }).lean();
+  let toHR = 0;
+
+  for (const report of reports) {
+    const severity = report.severity || 'medium';
+    const submittedAt = report.createdAt || new Date();
+    const update = {
+      queue: report.reportToHR ? 'hr' : 'general',
+      severity,
+      slaDueAt: new Date(submittedAt.getTime() + Report.SLA_HOURS[severity] * 60 * 60 * 1000)
+    };
+    if (Report.FINISHED_STATUSES.includes(report.status)) {
+      update.resolvedAt = report.updatedAt || submittedAt;
+    }
+    if (!report.activityLog || report.activityLog.length === 0) {
+      update.activityLog = [{ action: 'submitted', to: report.status, at: submittedAt }];
+    }
+    if (report.reportToHR) toHR++;
+
+    if (!dryRun) {
+      // updateOne skips document validation, so legacy fields can't block the migration
+      await Report.updateOne({ _id: report._id }, { $set: update });
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrated ${reports.length} reports (${toHR} to the HR queue)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
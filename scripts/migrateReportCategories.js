@@ -0,0 +1,70 @@
+/**
+ * Move reports from the old `type` values (option1/option2/option3) to categories
+ *
+ * Creates a top-level category for each type still in use, named after the old
+ * value so admins can rename it later, and files those reports under it. Types
+ * listed in --medical (comma-separated, e.g. --medical=option2; defaults to the
+ * old REPORT_HEALTH_TYPES setting) are routed to medical so doctors keep seeing
+ * them; the rest are routed to safety. Reports without a type go to an
+ * "uncategorised" category. Reports routed to safety then move from the
+ * general queue to the safety queue (reportToHR ones stay with HR).
+ *
+ * Usage: node scripts/migrateReportCategories.js [--dry-run] [--medical=option2,...]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Report = require('../models/Report');
+const ReportCategory = require('../models/ReportCategory');
+
+const dryRun = process.argv.includes('--dry-run');
+const medicalArg = process.argv.find(arg => arg.startsWith('--medical='));
+const medicalTypes = (medicalArg ? medicalArg.slice('--medical='.length) : process.env.REPORT_HEALTH_TYPES || '')
+  .split(',').map(type => type.trim()).filter(Boolean);
+
+const run = async () => {
+  await connectDB();
+
+  // The type path is gone from the schema, so read and write it on the raw collection
+  const pending = { category: { $exists: false } };
+  const types = await Report.collection.distinct('type', pending);
+  let migrated = 0;
+
+  for (const type of [...types.filter(Boolean), null]) {
+    const filter = type ? { ...pending, type } : { ...pending, type: { $in: [null, ''] } };
+    const count = await Report.collection.countDocuments(filter);
+    if (!count) continue;
+
+    const slug = type ? String(type).toLowerCase().replace(/[^a-z0-9]+/g, '-') : 'uncategorised';
+    const routing = medicalTypes.includes(type) ? 'medical' : 'safety';
+    console.log(`${dryRun ? '[dry run] ' : ''}${count} reports of type ${type || '(none)'} -> category "${slug}" (${routing})`);
+    migrated += count;
+    if (dryRun) continue;
+
+    let category = await ReportCategory.findOne({ slug });
+    if (!category) {
+      category = await ReportCategory.create({ name: type || 'Uncategorised', slug, routing });
+    }
+
+    await Report.collection.updateMany(filter, {
+      $set: { category: category._id, routing: category.routing || routing, details: {} },
+      $unset: { type: '' }
+    });
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrated ${migrated} reports to categories`);
+
+  // Also picks up reports migrated before there was a safety queue
+  const toSafety = { routing: 'safety', queue: 'general' };
+  const moved = dryRun
+    ? await Report.collection.countDocuments(toSafety)
+    : (await Report.collection.updateMany(toSafety, { $set: { queue: 'safety' } })).modifiedCount;
+  console.log(`${dryRun ? '[dry run] ' : ''}Moved ${moved} reports to the safety queue`);
+};
+
+run()
+  .catch(err => {
+    console.error('Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
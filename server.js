@@ -1,10 +1,14 @@
+// Load environment variables before any module below reads them
+require('dotenv').config();
+
 const express = require('express');
-const dotenv = require('dotenv');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const connectDB = require('./config/db');
+const { UPLOADS_DIR } = require('./config/uploads');
 const { verifyEmailConnection } = require('./services/emailService');
+const { createReminderScheduler } = require('./services/reminderScheduler');
 const authRoutes = require('./routes/authRoutes');
 const Report = require('./models/Report');
 const auth = require('./middlewares/auth');
@@ -19,7 +23,17 @@ const { Server } = require('socket.io');
 const challengeRoutes = require('./routes/challenges');
 const dr = require('./routes/doctor');
 const report = require('./routes/report');
-const Appointment = require('./models/Appointment');
+const appointments = require('./routes/appointments');
+const calendar = require('./routes/calendar');
+const reviews = require('./routes/reviews');
+const timeOff = require('./routes/timeOff');
+const callbacks = require('./routes/callbacks');
+const queues = require('./routes/queues');
+const callChat = require('./routes/callChat');
+const calls = require('./routes/Calls');
+const ice = require('./routes/ice');
+const groupSessions = require('./routes/groupSessions');
+const reportCategories = require('./routes/reportCategories');
 
 // Updated allowedOrigins
 const allowedOrigins = [
@@ -27,8 +41,13 @@ const allowedOrigins = [
   'https://emp-health-frontend.vercel.app'
 ];
 
-// Load environment variables
-dotenv.config();
+// Refuse to start rather than reject every token at request time
+try {
+  auth.getJwtSecret();
+} catch (error) {
+  console.error(`${error.message}; it must match the secret login tokens are signed with.`);
+  process.exit(1);
+}
 
 // Create express app
 const app = express();
@@ -57,14 +76,30 @@ app.use(morgan('dev'));
 // Verify email service
 verifyEmailConnection();
 
+// Appointment reminder emails (set REMINDERS_ENABLED=false to turn off)
+if (process.env.REMINDERS_ENABLED !== 'false') {
+  createReminderScheduler().start();
+}
+
 // Static files
-app.use('/uploads', express.static('uploads'));
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api', challengeRoutes);
 app.use('/api', dr);
 app.use('/api', report);
+app.use('/api', appointments);
+app.use('/api', calendar);
+app.use('/api', reviews);
+app.use('/api', timeOff);
+app.use('/api', callbacks);
+app.use('/api', queues);
+app.use('/api', callChat);
+app.use('/api', calls);
+app.use('/api', ice);
+app.use('/api', groupSessions);
+app.use('/api', reportCategories);
 
 app.use('/api/protected', auth, (req, res) => {
   res.status(200).json({ message: 'You are logged in and can access this protected route.' });
@@ -77,7 +112,9 @@ const io = new Server(server, {
     methods: ["GET", "POST"]
   }
 });
-socketHandler(io);
+const { callQueue } = socketHandler(io);
+// Lets REST routes read the live waiting queues
+app.set('callQueue', callQueue);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -99,58 +136,14 @@ app.post("/test", (req, res) => {
 // Get all doctors
 app.get('/api/all-doctors', async (req, res) => {
   try {
-    const doctors = await User.find({ role: 'doctor' });
+    const doctors = await User.find({ role: 'doctor' })
+      .select('-password -emailVerificationOTP -otpExpiry -calendarToken');
     res.status(200).json({ doctors });
   } catch (error) {
     res.status(500).json({ message: 'Failed to fetch doctors', error: error.message });
   }
 });
 
-// Create appointment
-app.post('/api/appointments', async (req, res) => {
-  try {
-    const { day, date, time, type, doctorName, avatarSrc, userId } = req.body;
-
-    if (!day || !date || !time || !type || !doctorName || !avatarSrc || !userId) {
-      return res.status(400).json({ message: 'All fields are required including userId.' });
-    }
-
-    const appointment = new Appointment({
-      day,
-      date,
-      time,
-      type,
-      doctorName,
-      avatarSrc,
-      user: userId
-    });
-
-    await appointment.save();
-
-    await User.findByIdAndUpdate(userId, {
-      $push: { appointments: appointment._id }
-    });
-
-    res.status(201).json({ message: 'Appointment created successfully', appointment });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to create appointment', error: error.message });
-  }
-});
-
-// Get appointments (optionally filtered by userId)
-app.get('/api/appointments', async (req, res) => {
-  try {
-    const { userId } = req.query;
-    const query = userId ? { user: userId } : {};
-
-    const appointments = await Appointment.find(query).populate('user', 'name email role');
-
-    res.status(200).json({ appointments });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to fetch appointments', error: error.message });
-  }
-});
-
 // Start server
 const PORT = process.env.PORT;
 server.listen(PORT, () => {
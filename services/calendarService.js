@@ -0,0 +1,135 @@
+const PRODUCT_ID = '-//E-Health//Appointments//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'e-health';
+
+// Appointment status -> VEVENT STATUS; requested appointments stay tentative
+const EVENT_STATUS = {
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  'no-show': 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+/**
+ * Escape a TEXT value per RFC 5545 section 3.3.11
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets per RFC 5545 section 3.1
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a Date as a UTC DATE-TIME, e.g. 20250101T090000Z
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar UTC date-time
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Stable UID for an appointment so updates replace the same calendar entry
+ * @param {Object} appointment - Appointment document
+ * @returns {string} Event UID
+ */
+const getEventUid = (appointment) => `appointment-${appointment._id}@${UID_DOMAIN}`;
+
+/**
+ * Build the VEVENT lines for an appointment
+ * @param {Object} appointment - Appointment with doctor and user populated where available
+ * @param {Object} options - { viewerRole } to word the summary for doctor or patient
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildEvent = (appointment, { viewerRole } = {}) => {
+  const doctorName = (appointment.doctor && appointment.doctor.name) || appointment.doctorName;
+  const patientName = appointment.user && appointment.user.name;
+  const counterpart = viewerRole === 'doctor' && patientName ? patientName : doctorName;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(appointment)}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(appointment.start)}`,
+    `DTEND:${formatDateTime(appointment.end || appointment.start)}`,
+    // Every reschedule or status change bumps the sequence so clients replace the old copy
+    `SEQUENCE:${(appointment.history || []).length}`,
+    `SUMMARY:${escapeText(`${appointment.type} consultation with ${counterpart}`)}`,
+    `DESCRIPTION:${escapeText(`Status: ${appointment.status || 'requested'}`)}`,
+    `STATUS:${EVENT_STATUS[appointment.status] || 'TENTATIVE'}`
+  ];
+
+  if (appointment.createdAt) {
+    lines.push(`CREATED:${formatDateTime(appointment.createdAt)}`);
+  }
+
+  const lastChange = (appointment.history || []).slice(-1)[0];
+  if (lastChange) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(lastChange.at)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Array<Object>} appointments - Appointments with a start time
+ * @param {Object} options - { name, viewerRole }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildCalendar = (appointments, { name, viewerRole } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  appointments
+    .filter(appointment => appointment.start)
+    .forEach(appointment => lines.push(...buildEvent(appointment, { viewerRole })));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  getEventUid,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const ErrorResponse = require('../utils/errorHandler');
+const { sniffType } = require('../utils/fileType');
+const { UPLOADS_DIR } = require('../config/uploads');
+
+// Files that can be shared in a call, by extension
+const ATTACHMENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.txt': 'text/plain'
+};
+
+const MAX_ATTACHMENT_BYTES = Number(process.env.CALL_ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+/**
+ * Folder for a call's attachments
+ * @param {string} callId - Call id
+ * @returns {string} Absolute path
+ */
+const getAttachmentDir = (callId) => path.join(UPLOADS_DIR, 'calls', String(callId));
+
+/**
+ * Load a call the user takes part in
+ * @param {string} callId - Call id
+ * @param {string} userId - Caller or callee
+ * @returns {Promise<Object>} Call
+ */
+const findCallForParticipant = async (callId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(callId)) {
+    throw new ErrorResponse('Invalid call id', 400);
+  }
+
+  const call = await Call.findOne({ _id: callId, $or: [{ caller: userId }, { callee: userId }] });
+  if (!call) {
+    throw new ErrorResponse('Call not found', 404);
+  }
+  return call;
+};
+
+/**
+ * The other participant of a call
+ * @returns {string} User id
+ */
+const getCounterpartId = (call, userId) => String(String(call.caller) === String(userId) ? call.callee : call.caller);
+
+/**
+ * Check an uploaded file's content and save it to the call's folder under a random name, so URLs can't be guessed
+ * @param {Object} call - Call the file is shared in
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Promise<Object>} Attachment to send with a chat message ({ url, name, mimeType, size })
+ */
+const saveAttachment = async (call, file) => {
+  const type = sniffType(file.buffer, { allowText: true });
+  if (!type || ATTACHMENT_TYPES[type.extension] !== type.mimeType) {
+    throw new ErrorResponse(`Attach a file of type ${Object.keys(ATTACHMENT_TYPES).join(', ')}.`, 400);
+  }
+  // A declared type that disagrees with the content is treated as a disguised file
+  if (file.mimetype && file.mimetype !== 'application/octet-stream' && file.mimetype !== type.mimeType) {
+    throw new ErrorResponse(`${path.basename(file.originalname)} does not match its declared type`, 400);
+  }
+
+  const dir = getAttachmentDir(call._id);
+  const fileName = `${crypto.randomBytes(16).toString('hex')}${type.extension}`;
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(path.join(dir, fileName), file.buffer, { flag: 'wx' });
+
+  return {
+    url: `/uploads/calls/${call._id}/${fileName}`,
+    name: path.basename(file.originalname),
+    mimeType: type.mimeType,
+    size: file.size
+  };
+};
+
+// Check an attachment was uploaded for this call and fill in its details from the file
+const resolveAttachment = async (callId, attachment) => {
+  const prefix = `/uploads/calls/${callId}/`;
+  const fileName = typeof attachment.url === 'string' && attachment.url.startsWith(prefix)
+    ? attachment.url.slice(prefix.length)
+    : '';
+  const mimeType = ATTACHMENT_TYPES[path.extname(fileName).toLowerCase()];
+  if (!/^[\w-]+\.\w+$/.test(fileName) || !mimeType) {
+    throw new ErrorResponse('Attachment must be a file uploaded to this call', 400);
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(path.join(getAttachmentDir(callId), fileName));
+  } catch (err) {
+    throw new ErrorResponse('Attachment not found', 400);
+  }
+
+  return {
+    url: attachment.url,
+    name: typeof attachment.name === 'string' && attachment.name.trim() ? attachment.name.trim().slice(0, 255) : fileName,
+    mimeType,
+    size: stats.size
+  };
+};
+
+/**
+ * Add a chat message to an answered call
+ * @param {string} callId - Call id
+ * @param {string} senderId - Sending participant
+ * @param {Object} content - { text, attachment: { url, name } }; at least one is required
+ * @returns {Promise<Object>} { call, message }
+ */
+const addMessage = async (callId, senderId, { text, attachment } = {}) => {
+  const call = await findCallForParticipant(callId, senderId);
+  if (call.status !== 'accepted') {
+    throw new ErrorResponse('Messages can only be sent during an answered call', 409);
+  }
+
+  const message = { sender: senderId };
+  if (typeof text === 'string' && text.trim()) message.text = text;
+  if (attachment) message.attachment = await resolveAttachment(String(call._id), attachment);
+  if (!message.text && !message.attachment) {
+    throw new ErrorResponse('A message needs text or an attachment', 400);
+  }
+
+  const updated = await Call.findOneAndUpdate(
+    { _id: call._id, status: 'accepted' },
+    { $push: { messages: message } },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new ErrorResponse('Messages can only be sent during an answered call', 409);
+  }
+
+  return { call: updated, message: updated.messages[updated.messages.length - 1] };
+};
+
+/**
+ * Record that the user received or read messages sent to them
+ * Read messages also count as delivered. Messages already marked keep their
+ * first timestamp.
+ * @param {string} callId - Call id
+ * @param {string} userId - Receiving participant
+ * @param {string[]} messageIds - Messages to mark
+ * @param {string} receipt - 'delivered' or 'read'
+ * @returns {Promise<Object>} { call, messages } with the marked messages
+ */
+const markMessages = async (callId, userId, messageIds, receipt) => {
+  const call = await findCallForParticipant(callId, userId);
+  const ids = [].concat(messageIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const now = new Date();
+  const fields = receipt === 'read' ? ['deliveredAt', 'readAt'] : ['deliveredAt'];
+
+  // One update per field so each only touches messages that don't have it yet
+  for (const field of fields) {
+    await Call.updateOne(
+      { _id: call._id },
+      { $set: { [`messages.$[message].${field}`]: now } },
+      {
+        arrayFilters: [{
+          'message._id': { $in: ids.map(id => new mongoose.Types.ObjectId(id)) },
+          'message.sender': { $ne: new mongoose.Types.ObjectId(userId) },
+          [`message.${field}`]: { $exists: false }
+        }]
+      }
+    );
+  }
+
+  const updated = await Call.findById(call._id);
+  const messages = updated.messages.filter(message =>
+    ids.includes(String(message._id)) && String(message.sender) !== String(userId));
+  return { call: updated, messages };
+};
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  getAttachmentDir,
+  findCallForParticipant,
+  getCounterpartId,
+  saveAttachment,
+  addMessage,
+  markMessages
+};
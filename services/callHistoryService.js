@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const ErrorResponse = require('../utils/errorHandler');
+const { isValidDate } = require('./slotService');
+
+const { ObjectId } = mongoose.Types;
+
+// Participant fields returned with each call
+const PARTICIPANT_FIELDS = 'name role department';
+
+// Start of a YYYY-MM-DD day in server time, like appointment slots
+const startOfDay = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Build the Mongo filter for a user's call history
+ * Everyone sees the calls they made or received; admins see all calls, or one
+ * user's with userId.
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @param {Object} params
+ * @param {string} [params.counterpartId] - Only calls with this other participant
+ * @param {string} [params.status] - Comma-separated statuses, e.g. "missed,rejected"
+ * @param {string} [params.from] - Earliest start date (YYYY-MM-DD)
+ * @param {string} [params.to] - Latest start date (YYYY-MM-DD, inclusive)
+ * @param {string} [params.userId] - Whose calls to list (admin only)
+ * @returns {Object} Filter usable in find and aggregate
+ */
+const buildCallFilter = (user, { counterpartId, status, from, to, userId } = {}) => {
+  for (const [name, value] of Object.entries({ counterpartId, userId })) {
+    if (value !== undefined && !mongoose.Types.ObjectId.isValid(value)) {
+      throw new ErrorResponse(`Invalid ${name}`, 400);
+    }
+  }
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !isValidDate(value)) {
+      throw new ErrorResponse(`${name} must be a date (YYYY-MM-DD)`, 400);
+    }
+  }
+
+  const conditions = [];
+  const ownerId = user.role === 'admin' ? userId : user.userId;
+  if (ownerId) {
+    const owner = new ObjectId(ownerId);
+    if (counterpartId) {
+      const counterpart = new ObjectId(counterpartId);
+      conditions.push({
+        $or: [{ caller: owner, callee: counterpart }, { caller: counterpart, callee: owner }]
+      });
+    } else {
+      conditions.push({ $or: [{ caller: owner }, { callee: owner }] });
+    }
+  } else if (counterpartId) {
+    const counterpart = new ObjectId(counterpartId);
+    conditions.push({ $or: [{ caller: counterpart }, { callee: counterpart }] });
+  }
+
+  if (status) {
+    const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+    const invalid = statuses.filter(value => !Object.keys(Call.STATUS_TRANSITIONS).includes(value));
+    if (invalid.length) {
+      throw new ErrorResponse(`Invalid status: ${invalid.join(', ')}`, 400);
+    }
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  if (from || to) {
+    const startTime = {};
+    if (from) startTime.$gte = startOfDay(from);
+    if (to) {
+      const end = startOfDay(to);
+      end.setDate(end.getDate() + 1);
+      startTime.$lt = end;
+    }
+    conditions.push({ startTime });
+  }
+
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Cursors are opaque to clients: the start time and id of the last call on the page
+const encodeCursor = (call) => Buffer.from(JSON.stringify({
+  startTime: call.startTime.toISOString(),
+  id: String(call._id)
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { startTime, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(startTime);
+    if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) throw new Error('Bad cursor');
+    return { startTime: date, id: new ObjectId(id) };
+  } catch (err) {
+    throw new ErrorResponse('Invalid cursor', 400);
+  }
+};
+
+/**
+ * One page of call history, newest first
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @param {Object} params - Filters (see buildCallFilter), plus cursor and limit
+ * @param {string} [params.cursor] - nextCursor from the previous page
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} { items, nextCursor, hasNext }
+ */
+const getCallHistory = async (user, { cursor, limit, ...filters }) => {
+  const filter = buildCallFilter(user, filters);
+
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    // Ties on startTime are broken by id so no call is skipped or repeated
+    filter.$and = [...(filter.$and || []), {
+      $or: [
+        { startTime: { $lt: after.startTime } },
+        { startTime: after.startTime, _id: { $lt: after.id } }
+      ]
+    }];
+  }
+
+  const calls = await Call.find(filter)
+    .select('-messages')
+    .populate('caller', PARTICIPANT_FIELDS)
+    .populate('callee', PARTICIPANT_FIELDS)
+    .sort({ startTime: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasNext = calls.length > limit;
+  const items = calls.slice(0, limit);
+
+  return {
+    items,
+    nextCursor: hasNext ? encodeCursor(items[items.length - 1]) : null,
+    hasNext
+  };
+};
+
+// Look up a call participant's name and role. Uses let/$expr rather than localField
+// with a pipeline, which MongoDB only accepts from 5.0.
+const lookupParticipant = (field, as) => ({
+  $lookup: {
+    from: 'users',
+    let: { userId: `$${field}` },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+      { $project: { name: 1, role: 1 } }
+    ],
+    as
+  }
+});
+
+/**
+ * Totals over the filtered calls, with a breakdown per doctor taking part
+ * Durations only count calls that were answered.
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @param {Object} filters - See buildCallFilter
+ * @returns {Promise<Object>} { totalCalls, totalMinutes, missedCount, averageDuration, doctors }
+ */
+const getCallStats = async (user, filters) => {
+  const [stats] = await Call.aggregate([
+    { $match: buildCallFilter(user, filters) },
+    lookupParticipant('caller', 'callerUser'),
+    lookupParticipant('callee', 'calleeUser'),
+    {
+      $addFields: {
+        doctor: {
+          // $arrayElemAt rather than $first, which needs MongoDB 4.4
+          $arrayElemAt: [{
+            $filter: {
+              input: { $concatArrays: ['$callerUser', '$calleeUser'] },
+              cond: { $eq: ['$$this.role', 'doctor'] }
+            }
+          }, 0]
+        },
+        answeredDuration: { $cond: [{ $ifNull: ['$answeredAt', false] }, { $ifNull: ['$duration', 0] }, null] }
+      }
+    },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            totalCalls: { $sum: 1 },
+            totalSeconds: { $sum: { $ifNull: ['$answeredDuration', 0] } },
+            missedCount: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+            averageDuration: { $avg: '$answeredDuration' }
+          }
+        }],
+        doctors: [
+          { $match: { doctor: { $ne: null } } },
+          {
+            $group: {
+              _id: '$doctor._id',
+              name: { $first: '$doctor.name' },
+              calls: { $sum: 1 },
+              missedCount: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+              totalSeconds: { $sum: { $ifNull: ['$answeredDuration', 0] } },
+              averageDuration: { $avg: '$answeredDuration' }
+            }
+          },
+          { $sort: { calls: -1, name: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = stats.totals[0] || { totalCalls: 0, totalSeconds: 0, missedCount: 0, averageDuration: null };
+  const toMinutes = (seconds) => Math.round((seconds / 60) * 10) / 10;
+
+  return {
+    totalCalls: totals.totalCalls,
+    totalMinutes: toMinutes(totals.totalSeconds),
+    missedCount: totals.missedCount,
+    averageDuration: totals.averageDuration === null ? null : Math.round(totals.averageDuration), // in seconds
+    doctors: stats.doctors.map(doctor => ({
+      doctorId: doctor._id,
+      name: doctor.name,
+      calls: doctor.calls,
+      missedCount: doctor.missedCount,
+      totalMinutes: toMinutes(doctor.totalSeconds),
+      averageDuration: doctor.averageDuration === null ? null : Math.round(doctor.averageDuration)
+    }))
+  };
+};
+
+module.exports = {
+  buildCallFilter,
+  getCallHistory,
+  getCallStats
+};
@@ -0,0 +1,111 @@
+const Call = require('../models/Call');
+const User = require('../models/User');
+const { sendMissedCallEmail } = require('./emailService');
+
+/**
+ * Move a call to a new status, only if it is still in an allowed previous status
+ * The status precondition makes each transition atomic, so two sockets racing
+ * (e.g. answer vs. hang-up) can't both win.
+ * @param {string} callId - Call id
+ * @param {string} status - Target status
+ * @param {Object} [conditions] - Extra filter, e.g. { callee: userId }
+ * @param {Object} [changes] - Extra fields to set
+ * @returns {Promise<Object|null>} Updated call, or null if the transition was not allowed
+ */
+const transitionCall = (callId, status, conditions = {}, changes = {}) => {
+  const from = Object.keys(Call.STATUS_TRANSITIONS)
+    .filter(current => Call.STATUS_TRANSITIONS[current].includes(status));
+
+  return Call.findOneAndUpdate(
+    { _id: callId, status: { $in: from }, ...conditions },
+    { $set: { status, ...changes } },
+    { new: true }
+  );
+};
+
+/**
+ * Record a new outgoing call
+ * @param {string} callerId - Calling user
+ * @param {string} calleeId - Called user
+ * @returns {Promise<Object>} Created call
+ */
+const createCall = (callerId, calleeId) => Call.create({
+  caller: callerId,
+  callee: calleeId,
+  status: 'initiated'
+});
+
+/**
+ * Mark a ringing call as answered by its callee
+ * @returns {Promise<Object|null>} Updated call
+ */
+const acceptCall = (callId, calleeId) => transitionCall(callId, 'accepted', { callee: calleeId }, { answeredAt: new Date() });
+
+/**
+ * Mark a ringing call as rejected by its callee
+ * @returns {Promise<Object|null>} Updated call
+ */
+const rejectCall = (callId, calleeId) => transitionCall(callId, 'rejected', { callee: calleeId }, {
+  endTime: new Date(),
+  duration: 0
+});
+
+/**
+ * End a ringing or answered call; duration counts from when it was answered
+ * @param {string} callId - Call id
+ * @returns {Promise<Object|null>} Updated call
+ */
+const endCall = async (callId) => {
+  // A second attempt covers a call answered between our read and write
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const call = await Call.findById(callId);
+    if (!call || !Call.ACTIVE_STATUSES.includes(call.status)) return null;
+
+    const endTime = new Date();
+    const duration = call.answeredAt ? Math.round((endTime - call.answeredAt) / 1000) : 0;
+
+    // Pin the status we read so the duration matches what we update
+    const ended = await transitionCall(callId, 'ended', { status: call.status }, { endTime, duration });
+    if (ended) return ended;
+  }
+  return null;
+};
+
+/**
+ * Mark a call nobody answered as missed, and email the callee if they are a doctor
+ * The email goes out in the background so the signaling flow isn't held up.
+ * @param {string} callId - Call id
+ * @param {string} reason - 'offline' or 'no-answer'
+ * @returns {Promise<Object|null>} Updated call
+ */
+const missCall = async (callId, reason) => {
+  const call = await transitionCall(callId, 'missed', {}, {
+    endTime: new Date(),
+    duration: 0,
+    missedReason: reason
+  });
+  if (!call) return null;
+
+  const [caller, callee] = await Promise.all([
+    User.findById(call.caller).select('name'),
+    User.findById(call.callee).select('name email role')
+  ]);
+
+  if (callee && callee.role === 'doctor') {
+    sendMissedCallEmail(callee.email, {
+      doctorName: callee.name,
+      callerName: caller ? caller.name : 'A patient',
+      time: call.startTime.toLocaleString()
+    }).catch(err => console.error('Failed to send missed call email:', err.message));
+  }
+
+  return call;
+};
+
+module.exports = {
+  createCall,
+  acceptCall,
+  rejectCall,
+  missCall,
+  endCall
+};
@@ -0,0 +1,226 @@
+const User = require('../models/User');
+const { getAvailableSlots, isValidTime, toMinutes } = require('./slotService');
+
+// Fields a doctor may edit on their own profile
+const PROFILE_FIELDS = [
+  'education',
+  'department',
+  'experience',
+  'specialization',
+  'qualifications',
+  'workingHours',
+  'slotDuration',
+  'breaks',
+  'consultationFee',
+  'isAvailable'
+];
+
+const MIN_QUALIFICATION_YEAR = 1950;
+
+// Sort keys accepted by searchDoctors -> field in the aggregation
+const SORT_FIELDS = {
+  name: 'name',
+  fee: 'consultationFee',
+  experience: 'experienceRank',
+  rating: 'ratingAverage'
+};
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search available doctors, built on User.findAvailableDoctors
+ * @param {Object} params
+ * @param {string} [params.department] - Exact department
+ * @param {string} [params.minExperience] - Minimum experience level, e.g. "6-10"
+ * @param {string} [params.specialization] - Case-insensitive text match
+ * @param {number} [params.minFee] - Minimum consultation fee
+ * @param {number} [params.maxFee] - Maximum consultation fee
+ * @param {boolean} [params.online] - Only doctors currently online
+ * @param {string} [params.availableOn] - Only doctors with a free slot on this date (YYYY-MM-DD)
+ * @param {string} [params.sortBy] - name | fee | experience | rating
+ * @param {string} [params.order] - asc | desc
+ * @param {number} params.page - 1-based page
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} { doctors, total }
+ */
+const searchDoctors = async ({
+  department,
+  minExperience,
+  specialization,
+  minFee,
+  maxFee,
+  online,
+  availableOn,
+  sortBy = 'name',
+  order = 'asc',
+  page,
+  limit
+}) => {
+  const filter = User.findAvailableDoctors(department).getFilter();
+
+  if (minExperience) {
+    filter.experience = { $in: User.experienceAtLeast(minExperience) };
+  }
+  if (specialization) {
+    filter.specialization = { $regex: escapeRegex(specialization), $options: 'i' };
+  }
+  if (minFee !== undefined || maxFee !== undefined) {
+    filter.consultationFee = {};
+    if (minFee !== undefined) filter.consultationFee.$gte = minFee;
+    if (maxFee !== undefined) filter.consultationFee.$lte = maxFee;
+  }
+  if (online) {
+    filter.isOnline = true;
+  }
+
+  const projection = { _id: 1 };
+  User.PUBLIC_DOCTOR_FIELDS.split(' ').forEach(field => { projection[field] = 1; });
+  // Slot generation needs the break times even though they are not part of the public listing
+  if (availableOn) projection.breaks = 1;
+
+  const pipeline = [
+    { $match: filter },
+    { $addFields: { experienceRank: { $indexOfArray: [User.EXPERIENCE_LEVELS, '$experience'] } } },
+    { $sort: { [SORT_FIELDS[sortBy]]: order === 'desc' ? -1 : 1, ...(sortBy !== 'name' && { name: 1 }), _id: 1 } },
+    { $project: projection }
+  ];
+  const skip = (page - 1) * limit;
+
+  if (!availableOn) {
+    const [result] = await User.aggregate([
+      ...pipeline,
+      { $facet: { doctors: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'count' }] } }
+    ]);
+    return { doctors: result.doctors, total: result.total.length ? result.total[0].count : 0 };
+  }
+
+  // Free slots depend on working hours and bookings, so this filter runs after the query
+  const candidates = await User.aggregate(pipeline);
+  const withSlots = [];
+  for (const doctor of candidates) {
+    const slots = await getAvailableSlots(doctor, availableOn);
+    if (slots.length > 0) {
+      const { breaks, ...publicFields } = doctor;
+      withSlots.push({ ...publicFields, freeSlots: slots.length });
+    }
+  }
+
+  return { doctors: withSlots.slice(skip, skip + limit), total: withSlots.length };
+};
+
+// Check an { start, end } pair of "HH:mm" times, pushing any problems onto errors
+const validateTimeRange = (range, label, errors) => {
+  if (!range || !isValidTime(range.start) || !isValidTime(range.end)) {
+    errors.push(`${label} must have start and end in HH:mm format`);
+  } else if (toMinutes(range.start) >= toMinutes(range.end)) {
+    errors.push(`${label} start must be before end`);
+  }
+};
+
+/**
+ * Validate a doctor profile update
+ * @param {Object} updates - Profile fields from the request body
+ * @returns {Array<string>} Validation errors; empty when valid
+ */
+const validateDoctorProfile = (updates) => {
+  const errors = [];
+
+  const unknown = Object.keys(updates).filter(field => !PROFILE_FIELDS.includes(field));
+  if (unknown.length) {
+    errors.push(`Unknown profile fields: ${unknown.join(', ')}`);
+  }
+
+  if (updates.education !== undefined && (typeof updates.education !== 'string' || !updates.education.trim())) {
+    errors.push('education must be a non-empty string');
+  }
+  if (updates.department !== undefined && !User.schema.path('department').enumValues.includes(updates.department)) {
+    errors.push('department is not a valid department');
+  }
+  if (updates.experience !== undefined && !User.EXPERIENCE_LEVELS.includes(updates.experience)) {
+    errors.push(`experience must be one of ${User.EXPERIENCE_LEVELS.join(', ')}`);
+  }
+  if (updates.specialization !== undefined && typeof updates.specialization !== 'string') {
+    errors.push('specialization must be a string');
+  }
+
+  if (updates.workingHours !== undefined) {
+    validateTimeRange(updates.workingHours, 'workingHours', errors);
+  }
+
+  if (updates.slotDuration !== undefined &&
+    (!Number.isInteger(updates.slotDuration) || updates.slotDuration < 5 || updates.slotDuration > 240)) {
+    errors.push('slotDuration must be a whole number of minutes between 5 and 240');
+  }
+
+  if (updates.breaks !== undefined) {
+    if (!Array.isArray(updates.breaks)) {
+      errors.push('breaks must be an array');
+    } else {
+      updates.breaks.forEach((range, i) => validateTimeRange(range, `breaks[${i}]`, errors));
+    }
+  }
+
+  if (updates.qualifications !== undefined) {
+    const currentYear = new Date().getFullYear();
+    if (!Array.isArray(updates.qualifications)) {
+      errors.push('qualifications must be an array');
+    } else {
+      updates.qualifications.forEach((qualification, i) => {
+        if (!qualification || typeof qualification.degree !== 'string' || !qualification.degree.trim()) {
+          errors.push(`qualifications[${i}].degree is required`);
+        }
+        if (qualification && qualification.year !== undefined &&
+          (!Number.isInteger(qualification.year) || qualification.year < MIN_QUALIFICATION_YEAR || qualification.year > currentYear)) {
+          errors.push(`qualifications[${i}].year must be between ${MIN_QUALIFICATION_YEAR} and ${currentYear}`);
+        }
+      });
+    }
+  }
+
+  if (updates.consultationFee !== undefined &&
+    (typeof updates.consultationFee !== 'number' || !Number.isFinite(updates.consultationFee) || updates.consultationFee < 0)) {
+    errors.push('consultationFee must be a non-negative number');
+  }
+
+  if (updates.isAvailable !== undefined && typeof updates.isAvailable !== 'boolean') {
+    errors.push('isAvailable must be true or false');
+  }
+
+  return errors;
+};
+
+/**
+ * Validate per-weekday working hours
+ * @param {Array<Object>} weeklyHours - [{ day: 0-6, start: "HH:mm", end: "HH:mm" }]
+ * @returns {Array<string>} Validation errors; empty when valid
+ */
+const validateWeeklyHours = (weeklyHours) => {
+  if (!Array.isArray(weeklyHours)) {
+    return ['weeklyHours must be an array'];
+  }
+
+  const errors = [];
+  const seenDays = new Set();
+  weeklyHours.forEach((entry, i) => {
+    if (!entry || !Number.isInteger(entry.day) || entry.day < 0 || entry.day > 6) {
+      errors.push(`weeklyHours[${i}].day must be 0 (Sunday) to 6 (Saturday)`);
+    } else if (seenDays.has(entry.day)) {
+      errors.push(`weeklyHours[${i}].day ${entry.day} is listed more than once`);
+    } else {
+      seenDays.add(entry.day);
+    }
+    validateTimeRange(entry, `weeklyHours[${i}]`, errors);
+  });
+
+  return errors;
+};
+
+module.exports = {
+  PROFILE_FIELDS,
+  SORT_FIELDS,
+  validateDoctorProfile,
+  validateWeeklyHours,
+  validateTimeRange,
+  searchDoctors
+};
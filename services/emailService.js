@@ -1,6 +1,18 @@
 const { createTransporter } = require('../config/email');
 const fs = require('fs');
 
+/**
+ * Escape a value for use in email HTML, so names and other user input can't inject markup
+ * @param {*} value - Raw value; null and undefined become empty
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Send OTP email to user
  * @param {string} email - User's email address
@@ -110,6 +122,79 @@ const sendReportEmail = async (email, pdfPath, reportData) => {
   }
 };
 
+/**
+ * Send an appointment reminder email
+ * @param {string} email - Recipient's email address
+ * @param {object} details - { recipientName, counterpartName, type, date, time, hoursBefore }
+ * @param {object} [transporter] - Nodemailer transport; defaults to the configured SMTP transport
+ * @returns {Promise<boolean>} Success status
+ */
+const sendAppointmentReminderEmail = async (email, details, transporter = createTransporter()) => {
+  let when = 'soon';
+  if (details.hoursBefore >= 24) {
+    when = `in ${Math.round(details.hoursBefore / 24)} day(s)`;
+  } else if (details.hoursBefore >= 1) {
+    when = `in ${Math.round(details.hoursBefore)} hour(s)`;
+  }
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: `Reminder: ${details.type} appointment ${when}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Upcoming Appointment</h2>
+        <p>Hello ${escapeHtml(details.recipientName)},</p>
+        <p>This is a reminder of your ${escapeHtml(details.type)} appointment with ${escapeHtml(details.counterpartName)} ${when}.</p>
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Date:</strong> ${escapeHtml(details.date)}</p>
+          <p><strong>Time:</strong> ${escapeHtml(details.time)}</p>
+        </div>
+        <p>If you can no longer attend, please cancel or reschedule the appointment in the app.</p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return false;
+  }
+};
+
+/**
+ * Tell a doctor about a call they missed
+ * @param {string} email - Doctor's email address
+ * @param {object} details - { doctorName, callerName, time }
+ * @param {object} [transporter] - Nodemailer transport; defaults to the configured SMTP transport
+ * @returns {Promise<boolean>} Success status
+ */
+const sendMissedCallEmail = async (email, details, transporter = createTransporter()) => {
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: email,
+    subject: `Missed call from ${details.callerName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You Missed a Call</h2>
+        <p>Hello ${escapeHtml(details.doctorName)},</p>
+        <p>${escapeHtml(details.callerName)} tried to reach you at ${escapeHtml(details.time)}.</p>
+        <p>They may leave a callback request, which you can find in the app.</p>
+      </div>
+    `
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    return true;
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return false;
+  }
+};
+
 // Verify email transport connection
 const verifyEmailConnection = async () => {
   try {
@@ -135,5 +220,7 @@ const verifyEmailConnection = async () => {
 module.exports = {
   sendOTPEmail,
   sendReportEmail,
+  sendAppointmentReminderEmail,
+  sendMissedCallEmail,
   verifyEmailConnection
 };
\ No newline at end of file
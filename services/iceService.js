@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const iceConfig = require('../config/ice');
+
+/**
+ * Time-limited TURN credentials (the TURN REST API scheme coturn supports with use-auth-secret)
+ * The username is "<expiry unix time>:<userId>" and the credential is the
+ * base64 HMAC-SHA1 of the username keyed with the shared secret, so the TURN
+ * server can check it without calling back to us.
+ * @param {string} userId - User the credentials are for
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Shared secret
+ * @param {number} [options.ttl] - Validity in seconds
+ * @param {Date} [options.now] - Issue time
+ * @returns {Object} { username, credential, expiresAt }
+ */
+const createTurnCredentials = (userId, {
+  secret = iceConfig.TURN_SECRET,
+  ttl = iceConfig.TURN_TTL_SECONDS,
+  now = new Date()
+} = {}) => {
+  const expiry = Math.floor(now.getTime() / 1000) + ttl;
+  const username = `${expiry}:${userId}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+
+  return { username, credential, expiresAt: new Date(expiry * 1000) };
+};
+
+/**
+ * ICE servers for a user's RTCPeerConnection, with fresh TURN credentials when TURN is configured
+ * @param {string} userId - Requesting user
+ * @returns {Object} { iceServers, ttl, expiresAt }
+ */
+const getIceServers = (userId) => {
+  const iceServers = [];
+  if (iceConfig.STUN_URLS.length) iceServers.push({ urls: iceConfig.STUN_URLS });
+
+  // Without a secret the TURN server couldn't verify credentials, so leave it out
+  if (!iceConfig.TURN_URLS.length || !iceConfig.TURN_SECRET) {
+    return { iceServers, ttl: null, expiresAt: null };
+  }
+
+  const { username, credential, expiresAt } = createTurnCredentials(userId);
+  iceServers.push({ urls: iceConfig.TURN_URLS, username, credential });
+
+  return { iceServers, ttl: iceConfig.TURN_TTL_SECONDS, expiresAt };
+};
+
+module.exports = {
+  createTurnCredentials,
+  getIceServers
+};
@@ -0,0 +1,156 @@
+const Appointment = require('../models/Appointment');
+const { createTransporter } = require('../config/email');
+const { sendAppointmentReminderEmail } = require('./emailService');
+
+const DEFAULT_OFFSETS = '24h,1h';
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse reminder offsets such as "24h,1h,30m" into minutes, largest first
+ * @param {string} value - Comma-separated offsets; bare numbers are minutes
+ * @returns {Array<number>} Offsets in minutes
+ */
+const parseOffsets = (value = DEFAULT_OFFSETS) => {
+  const units = { m: 1, h: 60, d: 24 * 60 };
+
+  return String(value)
+    .split(',')
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean)
+    .map(part => {
+      const match = part.match(/^(\d+)([mhd]?)$/);
+      if (!match) throw new Error(`Invalid reminder offset: ${part}`);
+      return Number(match[1]) * units[match[2] || 'm'];
+    })
+    .filter(minutes => minutes > 0)
+    .sort((a, b) => b - a);
+};
+
+/**
+ * Create a scheduler that emails patients and doctors before their appointments
+ * @param {Object} options
+ * @param {Array<number>} [options.offsets] - Minutes before start to remind; defaults to REMINDER_OFFSETS
+ * @param {number} [options.intervalMs] - How often to look for due reminders
+ * @param {Object} [options.transport] - Nodemailer transport; defaults to the configured SMTP transport
+ * @param {Function} [options.now] - Clock, overridable for tests
+ * @returns {Object} { start, stop, runOnce }
+ */
+const createReminderScheduler = ({
+  offsets = parseOffsets(process.env.REMINDER_OFFSETS),
+  intervalMs = Number(process.env.REMINDER_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+  transport = createTransporter(),
+  now = () => new Date()
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  // The people to remind about an appointment; each side is claimed and retried on its own
+  const getRecipients = (appointment) => {
+    const { user, doctor } = appointment;
+    return [
+      user && user.email && {
+        side: 'patient',
+        email: user.email,
+        recipientName: user.name,
+        counterpartName: (doctor && doctor.name) || appointment.doctorName
+      },
+      doctor && doctor.email && {
+        side: 'doctor',
+        email: doctor.email,
+        recipientName: doctor.name,
+        counterpartName: user ? user.name : 'your patient'
+      }
+    ].filter(Boolean);
+  };
+
+  // Email one side of an appointment; resolves true if the email went out
+  const sendReminder = async (appointment, recipient, offset) => {
+    const result = await sendAppointmentReminderEmail(recipient.email, {
+      type: appointment.type,
+      date: appointment.date,
+      time: appointment.time,
+      hoursBefore: offset / 60,
+      recipientName: recipient.recipientName,
+      counterpartName: recipient.counterpartName
+    }, transport);
+    return result !== false;
+  };
+
+  const runOnce = async () => {
+    if (running || offsets.length === 0) return 0;
+    running = true;
+    let sent = 0;
+
+    try {
+      const current = now();
+      const appointments = await Appointment.find({
+        status: { $in: Appointment.ACTIVE_STATUSES },
+        start: { $gt: current, $lte: new Date(current.getTime() + offsets[0] * 60 * 1000) }
+      })
+        .populate('user', 'name email')
+        .populate('doctor', 'name email');
+
+      for (const appointment of appointments) {
+        for (const recipient of getRecipients(appointment)) {
+          // Entries without a recipient predate per-side claims and count for both sides
+          const alreadySent = appointment.remindersSent
+            .filter(r => !r.recipient || r.recipient === recipient.side)
+            .map(r => r.offset);
+          const due = offsets.filter(offset =>
+            !alreadySent.includes(offset) &&
+            appointment.start.getTime() - offset * 60 * 1000 <= current.getTime()
+          );
+          if (due.length === 0) continue;
+
+          // Claim every due offset for this side before sending, so a booking made an hour out
+          // gets one reminder instead of both the 24h and 1h ones, and a second instance skips it
+          const claimed = await Appointment.findOneAndUpdate(
+            {
+              _id: appointment._id,
+              remindersSent: {
+                $not: { $elemMatch: { offset: { $in: due }, recipient: { $in: [recipient.side, null] } } }
+              }
+            },
+            { $push: { remindersSent: { $each: due.map(offset => ({ offset, recipient: recipient.side, sentAt: current })) } } }
+          );
+          if (!claimed) continue;
+
+          if (await sendReminder(appointment, recipient, Math.min(...due))) {
+            sent++;
+          } else {
+            // Release only this side's claim so the next run retries it without re-sending the other
+            await Appointment.updateOne(
+              { _id: appointment._id },
+              { $pull: { remindersSent: { offset: { $in: due }, recipient: recipient.side } } }
+            );
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Reminder scheduler error:', error);
+    } finally {
+      running = false;
+    }
+
+    return sent;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+    console.log(`Appointment reminders scheduled at ${offsets.join(', ')} minutes before start`);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = {
+  parseOffsets,
+  createReminderScheduler
+};
@@ -0,0 +1,105 @@
+const ReportAccessLog = require('../models/ReportAccessLog');
+const { canHandleReport, getCaseScope } = require('./reportService');
+
+// Fields each view leaves out, on top of what no view shows (follow-up code hash,
+// stored file names, and the reporter of an anonymous report)
+const HIDDEN_FIELDS = {
+  hr: [],
+  admin: [],
+  doctor: ['user.email', 'involvedParties'],
+  reporter: ['internalNotes', 'activityLog', 'assignee']
+};
+
+/**
+ * Which view of a report a user gets: their role's if they investigate it,
+ * 'reporter' for their own named report, otherwise none
+ * @param {Object} report - Report document (user may be populated)
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {string|null} View name
+ */
+const getView = (report, user) => {
+  if (canHandleReport(report, user.role) && HIDDEN_FIELDS[user.role]) return user.role;
+  if (report.user && String(report.user._id || report.user) === String(user.userId)) return 'reporter';
+  return null;
+};
+
+/**
+ * Filter for every report a user may read: cases they investigate, plus their own
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Mongo filter
+ */
+const getReadFilter = (user) => {
+  const scope = getCaseScope(user.role);
+  const own = { user: user.userId };
+  return scope ? { $or: [scope, own] } : own;
+};
+
+/**
+ * Plain copy of a report with the fields its view may not see removed
+ * @param {Object} report - Report document
+ * @param {string} view - View name from getView
+ * @returns {Object} Redacted report
+ */
+const redactReport = (report, view) => {
+  const data = report.toObject();
+  delete data.followUpCodeHash;
+  if (data.anonymous) delete data.user;
+
+  HIDDEN_FIELDS[view].forEach(field => {
+    const [key, nested] = field.split('.');
+    if (!nested) {
+      delete data[key];
+    } else if (data[key] && typeof data[key] === 'object') {
+      delete data[key][nested];
+    }
+  });
+
+  data.attachments = (data.attachments || []).map(({ storedName, ...attachment }) => attachment);
+  return data;
+};
+
+/**
+ * Record reads of reports in the access log
+ * @param {Object} req - Request; anonymous follow-ups have no req.user and their IP isn't kept
+ * @param {Object[]} reads - [{ report, view }]
+ * @param {string} [action] - 'read' or 'download'
+ * @returns {Promise}
+ */
+const logReportAccess = async (req, reads, action = 'read') => {
+  if (!reads.length) return;
+  const route = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+
+  await ReportAccessLog.insertMany(reads.map(({ report, view }) => ({
+    report: report._id,
+    viewer: req.user ? req.user.userId : undefined,
+    role: req.user ? req.user.role : 'anonymous-reporter',
+    view,
+    action,
+    route,
+    ip: req.user ? req.ip : undefined
+  })));
+};
+
+/**
+ * Redact reports for the current user and log the reads; reports the user may not read are dropped
+ * @param {Object} req - Authenticated request
+ * @param {Object[]} reports - Report documents
+ * @returns {Promise<Object[]>} Redacted reports
+ */
+const presentReports = async (req, reports) => {
+  const reads = reports
+    .map(report => ({ report, view: getView(report, req.user) }))
+    .filter(read => read.view);
+
+  await logReportAccess(req, reads);
+  return reads.map(({ report, view }) => redactReport(report, view));
+};
+
+module.exports = {
+  HIDDEN_FIELDS,
+  getView,
+  getReadFilter,
+  redactReport,
+  logReportAccess,
+  presentReports
+};
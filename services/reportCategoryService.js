@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const ReportCategory = require('../models/ReportCategory');
+const ErrorResponse = require('../utils/errorHandler');
+
+/**
+ * All categories by id; the taxonomy is small enough to work on in memory
+ * @returns {Promise<Map<string, Object>>} Plain category objects
+ */
+const loadCategories = async () => {
+  const categories = await ReportCategory.find().lean();
+  return new Map(categories.map(category => [String(category._id), category]));
+};
+
+/**
+ * A category and its ancestors, top-level first
+ * @param {Map<string, Object>} categories - From loadCategories
+ * @param {string} categoryId
+ * @returns {Object[]} Chain, empty if the category doesn't exist
+ */
+const getChain = (categories, categoryId) => {
+  const chain = [];
+  let current = categories.get(String(categoryId));
+  while (current && chain.length <= ReportCategory.MAX_DEPTH) {
+    chain.unshift(current);
+    current = current.parent ? categories.get(String(current.parent)) : null;
+  }
+  return chain;
+};
+
+/**
+ * What a category means for a report: its own settings combined with its ancestors'
+ * Fields add up down the tree, routing comes from the nearest category that sets one,
+ * and a category is only usable while it and all its ancestors are active.
+ * @param {Map<string, Object>} categories - From loadCategories
+ * @param {string} categoryId
+ * @returns {Object|null} { category, path, routing, fields, active }
+ */
+const describeCategory = (categories, categoryId) => {
+  const chain = getChain(categories, categoryId);
+  if (!chain.length) return null;
+
+  const fields = new Map();
+  chain.forEach(category => category.fields.forEach(field => fields.set(field.key, field)));
+
+  return {
+    category: chain[chain.length - 1],
+    path: chain.map(category => category.name).join(' / '),
+    routing: [...chain].reverse().map(category => category.routing).find(Boolean),
+    fields: [...fields.values()],
+    active: chain.every(category => category.active)
+  };
+};
+
+/**
+ * Look up an active category to file a report under
+ * @param {string} categoryId
+ * @returns {Promise<Object>} describeCategory result
+ */
+const resolveCategory = async (categoryId) => {
+  if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+    throw new ErrorResponse('A valid category is required', 400);
+  }
+  const resolved = describeCategory(await loadCategories(), categoryId);
+  if (!resolved) {
+    throw new ErrorResponse('Category not found', 400);
+  }
+  if (!resolved.active) {
+    throw new ErrorResponse(`${resolved.path} is no longer in use`, 400);
+  }
+  return resolved;
+};
+
+// Turn one submitted answer into its stored form, or return an error message
+const coerceValue = (field, value) => {
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) && value !== '' ? { value: number } : { error: `${field.label} must be a number` };
+    }
+    case 'date': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? { error: `${field.label} must be a date` } : { value: date };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: true };
+      if (value === false || value === 'false') return { value: false };
+      return { error: `${field.label} must be true or false` };
+    case 'choice':
+      return field.options.includes(value) ? { value } : { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+    default:
+      return typeof value === 'string' && value.length <= 2000
+        ? { value: value.trim() }
+        : { error: `${field.label} must be text of at most 2000 characters` };
+  }
+};
+
+/**
+ * Check a report's details against its category's fields
+ * @param {Object[]} fields - Fields from describeCategory
+ * @param {Object} [details] - Submitted answers by field key
+ * @returns {Object} Answers to store
+ */
+const checkDetails = (fields, details = {}) => {
+  if (typeof details !== 'object' || details === null || Array.isArray(details)) {
+    throw new ErrorResponse('details must be an object', 400);
+  }
+
+  const errors = [];
+  const known = new Set(fields.map(field => field.key));
+  Object.keys(details).filter(key => !known.has(key)).forEach(key => errors.push(`Unknown field: ${key}`));
+
+  const checked = {};
+  fields.forEach(field => {
+    const value = details[field.key];
+    if (value === undefined || value === null || value === '') {
+      if (field.required) errors.push(`${field.label} is required`);
+      return;
+    }
+    const result = coerceValue(field, value);
+    if (result.error) errors.push(result.error);
+    else checked[field.key] = result.value;
+  });
+
+  if (errors.length) {
+    throw new ErrorResponse(errors.join('; '), 400);
+  }
+  return checked;
+};
+
+/**
+ * Check that a category can be moved under a parent: it exists, isn't the
+ * category itself or one of its subcategories, and the tree stays within MAX_DEPTH
+ * @param {Map<string, Object>} categories - From loadCategories
+ * @param {string|null} categoryId - Category being moved; null for a new one
+ * @param {string|null} parentId - New parent; null for top level
+ */
+const checkParent = (categories, categoryId, parentId) => {
+  if (!parentId) return;
+  if (!mongoose.Types.ObjectId.isValid(parentId) || !categories.has(String(parentId))) {
+    throw new ErrorResponse('Parent category not found', 400);
+  }
+
+  const parentChain = getChain(categories, parentId);
+  if (categoryId && parentChain.some(category => String(category._id) === String(categoryId))) {
+    throw new ErrorResponse('A category cannot be nested under itself or its subcategories', 400);
+  }
+
+  // Levels the moved category brings with it
+  const height = (id) => 1 + Math.max(0, ...[...categories.values()]
+    .filter(category => String(category.parent) === String(id))
+    .map(category => height(category._id)));
+  const levels = categoryId ? height(categoryId) : 1;
+  if (parentChain.length + levels > ReportCategory.MAX_DEPTH) {
+    throw new ErrorResponse(`Categories can be nested at most ${ReportCategory.MAX_DEPTH} levels deep`, 400);
+  }
+};
+
+/**
+ * A category's id and the ids of everything nested under it
+ * @param {Map<string, Object>} categories - From loadCategories
+ * @param {string} categoryId
+ * @returns {string[]} Ids
+ */
+const getSubtreeIds = (categories, categoryId) => {
+  const ids = [String(categoryId)];
+  for (let i = 0; i < ids.length; i++) {
+    categories.forEach((category, id) => {
+      if (String(category.parent) === ids[i]) ids.push(id);
+    });
+  }
+  return ids;
+};
+
+/**
+ * Categories as a tree, each with its effective routing and fields
+ * @param {Map<string, Object>} categories - From loadCategories
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive] - Include deactivated categories (admins)
+ * @returns {Object[]} Top-level categories with nested children
+ */
+const buildTree = (categories, { includeInactive = false } = {}) => {
+  const nodes = new Map();
+  categories.forEach((category, id) => {
+    const described = describeCategory(categories, id);
+    if (!includeInactive && !described.active) return;
+    nodes.set(id, {
+      ...category,
+      path: described.path,
+      effectiveRouting: described.routing,
+      effectiveFields: described.fields,
+      effectiveActive: described.active,
+      children: []
+    });
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else if (!node.parent) roots.push(node);
+  });
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const sort = (list) => list.sort(byName).forEach(node => sort(node.children));
+  sort(roots);
+  return roots;
+};
+
+module.exports = {
+  loadCategories,
+  describeCategory,
+  resolveCategory,
+  checkDetails,
+  checkParent,
+  getSubtreeIds,
+  buildTree
+};
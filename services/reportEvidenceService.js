@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const ErrorResponse = require('../utils/errorHandler');
+const { sniffType } = require('../utils/fileType');
+
+/**
+ * Where evidence is kept and how much is allowed, read from the environment on each use
+ * so settings from .env apply however early this module is loaded
+ * @returns {Object} { dir, maxFileBytes, maxFiles, maxBytes }
+ */
+const getEvidenceSettings = () => ({
+  // Outside the public /uploads folder; files are only served through the download endpoints
+  dir: path.resolve(process.env.REPORT_EVIDENCE_DIR || path.join(__dirname, '..', 'storage', 'report-evidence')),
+  maxFileBytes: Number(process.env.REPORT_EVIDENCE_MAX_BYTES) || 10 * 1024 * 1024,
+  maxFiles: Number(process.env.REPORT_EVIDENCE_MAX_FILES) || 10,
+  // Total for one report
+  maxBytes: Number(process.env.REPORT_EVIDENCE_QUOTA_BYTES) || 50 * 1024 * 1024
+});
+
+// Multipart parser for the "attachments" field; files stay in memory until they pass the checks
+const evidenceUpload = (req, res, next) => {
+  const { maxFileBytes, maxFiles } = getEvidenceSettings();
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileBytes, files: maxFiles }
+  }).array('attachments')(req, res, next);
+};
+
+const getReportDir = (reportId) => path.join(getEvidenceSettings().dir, String(reportId));
+
+/**
+ * Check uploaded files against the allowed types and the report's quota
+ * @param {Object} report - Report the files are for
+ * @param {Object[]} files - Multer files (memory storage)
+ * @returns {Object[]} The files with their sniffed type
+ */
+const checkFiles = (report, files) => {
+  const { maxFiles, maxBytes } = getEvidenceSettings();
+  const existing = report.attachments || [];
+  if (existing.length + files.length > maxFiles) {
+    throw new ErrorResponse(`A report can have at most ${maxFiles} attachments`, 400);
+  }
+
+  const usedBytes = existing.reduce((total, attachment) => total + attachment.size, 0);
+  const newBytes = files.reduce((total, file) => total + file.size, 0);
+  if (usedBytes + newBytes > maxBytes) {
+    throw new ErrorResponse(`Attachments on a report can total at most ${Math.round(maxBytes / (1024 * 1024))} MB`, 400);
+  }
+
+  return files.map(file => {
+    const type = sniffType(file.buffer);
+    if (!type) {
+      throw new ErrorResponse(`${file.originalname} is not an accepted file type (PDF, PNG, JPEG, GIF or WebP)`, 400);
+    }
+    // A declared type that disagrees with the content is treated as a disguised file
+    if (file.mimetype && file.mimetype !== 'application/octet-stream' && file.mimetype !== type.mimeType) {
+      throw new ErrorResponse(`${file.originalname} does not match its declared type`, 400);
+    }
+    return { file, type };
+  });
+};
+
+/**
+ * Check files, write them to the report's evidence folder and add them to its attachments
+ * The report is not saved here.
+ * @param {Object} report - Report document
+ * @param {Object[]} files - Multer files (memory storage)
+ * @param {Object} uploader - { userId, from } where from is 'reporter' or 'investigator'; no userId for anonymous reporters
+ * @returns {Promise<Object[]>} Added attachments
+ */
+const addEvidence = async (report, files, { userId, from }) => {
+  if (!files || files.length === 0) return [];
+
+  const checked = checkFiles(report, files);
+  const dir = getReportDir(report._id);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const added = [];
+  try {
+    for (const { file, type } of checked) {
+      const storedName = `${crypto.randomBytes(16).toString('hex')}${type.extension}`;
+      await fs.promises.writeFile(path.join(dir, storedName), file.buffer, { flag: 'wx' });
+
+      report.attachments.push({
+        originalName: path.basename(file.originalname).slice(0, 255),
+        storedName,
+        mimeType: type.mimeType,
+        size: file.size,
+        uploadedBy: userId,
+        uploadedByRole: from
+      });
+      added.push(report.attachments[report.attachments.length - 1]);
+    }
+  } catch (error) {
+    await discardEvidence(report, added);
+    added.forEach(attachment => report.attachments.pull(attachment._id));
+    throw error;
+  }
+
+  // Files sent with the report itself are part of its submission
+  if (!report.isNew) {
+    report.logActivity('attachment', { to: added.map(attachment => attachment.originalName).join(', '), by: userId });
+  }
+  return added;
+};
+
+/**
+ * Remove files written for a report that then failed to save
+ * @param {Object} report - Report document
+ * @param {Object[]} attachments - Attachments returned by addEvidence
+ */
+const discardEvidence = (report, attachments) => Promise.all(attachments.map(attachment =>
+  fs.promises.unlink(path.join(getReportDir(report._id), attachment.storedName)).catch(() => {})));
+
+/**
+ * Location of an attachment on disk
+ * @param {Object} report - Report document
+ * @param {Object} attachment - One of its attachments
+ * @returns {string} Absolute path
+ */
+const getEvidencePath = (report, attachment) => path.join(getReportDir(report._id), attachment.storedName);
+
+// Delete all of a report's evidence, e.g. when the report is deleted
+const removeEvidence = (report) => fs.promises.rm(getReportDir(report._id), { recursive: true, force: true });
+
+module.exports = {
+  getEvidenceSettings,
+  evidenceUpload,
+  sniffType,
+  addEvidence,
+  discardEvidence,
+  getEvidencePath,
+  removeEvidence
+};
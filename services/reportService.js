@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const Report = require('../models/Report');
+
+// No 0/O, 1/I/L, so codes survive being written down
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16;
+
+// Roles that work each case queue; the HR queue is HR-only and doctors don't work safety cases
+const QUEUE_ROLES = {
+  general: ['admin', 'doctor', 'hr'],
+  hr: ['hr'],
+  safety: ['admin', 'hr']
+};
+
+// Reports in categories routed to medical are the health-related ones doctors see and work
+const isHealthReport = (report) => report.routing === 'medical';
+
+/**
+ * Queues a role can see and work
+ * @param {string} role - User role
+ * @returns {string[]} Queue names
+ */
+const getQueuesForRole = (role) => Object.keys(QUEUE_ROLES).filter(queue => QUEUE_ROLES[queue].includes(role));
+
+/**
+ * Filter for the reports a role may investigate
+ * @param {string} role - User role
+ * @returns {Object|null} Mongo filter, or null if the role investigates nothing
+ */
+const getCaseScope = (role) => {
+  const queues = getQueuesForRole(role);
+  if (!queues.length) return null;
+  return role === 'doctor' ? { queue: { $in: queues }, routing: 'medical' } : { queue: { $in: queues } };
+};
+
+/**
+ * Roles that may investigate a report
+ * @param {Object} report - Report document
+ * @returns {string[]} Roles
+ */
+const getInvestigatorRoles = (report) => (QUEUE_ROLES[report.queue || 'general'] || [])
+  .filter(role => role !== 'doctor' || isHealthReport(report));
+
+/**
+ * Whether a role may investigate a report
+ * @param {Object} report - Report document
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+const canHandleReport = (report, role) => getInvestigatorRoles(report).includes(role);
+
+/**
+ * Random follow-up code for an anonymous report, e.g. "K7QM-2XWP-9RTA-HC4D"
+ * @returns {string} Code
+ */
+const generateFollowUpCode = () => {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return chars.join('').match(/.{4}/g).join('-');
+};
+
+/**
+ * Hash a follow-up code for storage and lookup; case and dashes don't matter
+ * @param {string} code - Code as typed by the reporter
+ * @returns {string} Hex SHA-256
+ */
+const hashFollowUpCode = (code) => {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Find the report a follow-up code belongs to
+ * @param {string} code - Code as typed by the reporter
+ * @returns {Promise<Object|null>} Report
+ */
+const findByFollowUpCode = (code) => {
+  if (typeof code !== 'string' || !code.trim()) return Promise.resolve(null);
+  return Report.findOne({ followUpCodeHash: hashFollowUpCode(code) }).populate('category', 'name');
+};
+
+/**
+ * What a reporter sees when following up: status, the conversation and evidence, without investigator identities
+ * @param {Object} report - Report document
+ * @returns {Object} Follow-up view
+ */
+const toFollowUpView = (report) => ({
+  category: report.category && report.category.name,
+  date: report.date,
+  status: report.status,
+  submittedAt: report.createdAt,
+  updatedAt: report.updatedAt,
+  messages: report.messages.map(message => ({
+    from: message.from,
+    body: message.body,
+    createdAt: message.createdAt
+  })),
+  attachments: (report.attachments || []).map(attachment => ({
+    _id: attachment._id,
+    originalName: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    from: attachment.uploadedByRole,
+    createdAt: attachment.createdAt
+  }))
+});
+
+module.exports = {
+  QUEUE_ROLES,
+  isHealthReport,
+  getQueuesForRole,
+  getCaseScope,
+  getInvestigatorRoles,
+  canHandleReport,
+  generateFollowUpCode,
+  hashFollowUpCode,
+  findByFollowUpCode,
+  toFollowUpView
+};
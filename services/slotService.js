@@ -0,0 +1,187 @@
+const Appointment = require('../models/Appointment');
+const TimeOff = require('../models/TimeOff');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Check that a string is a 24h "HH:mm" time
+ * @param {string} value - Time string
+ * @returns {boolean} Whether the value is valid
+ */
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+/**
+ * Check that a string is a real "YYYY-MM-DD" calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} Whether the value is valid
+ */
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const parsed = new Date(year, month - 1, day);
+  return parsed.getFullYear() === year && parsed.getMonth() === month - 1 && parsed.getDate() === day;
+};
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to "HH:mm"
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time string
+ */
+const toTimeString = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+/**
+ * Build a local Date from "YYYY-MM-DD" and a minute offset
+ * @param {string} date - Date string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {Date} Local date-time
+ */
+const toDate = (date, minutes = 0) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day, 0, minutes);
+};
+
+/**
+ * Get the weekday name for a "YYYY-MM-DD" date
+ * @param {string} date - Date string
+ * @returns {string} Weekday name, e.g. "Monday"
+ */
+const getDayName = (date) => DAY_NAMES[toDate(date).getDay()];
+
+/**
+ * Resolve a doctor's working hours for a date from weekly hours and time off
+ * @param {Object} doctor - Doctor user document
+ * @param {string} date - Date string ("YYYY-MM-DD")
+ * @param {Array<Object>} timeOff - TimeOff entries covering the date
+ * @returns {Object|null} { start, end } or null when the doctor is off
+ */
+const getWorkingHours = (doctor, date, timeOff = []) => {
+  const covering = timeOff.filter(entry => entry.startDate <= date && entry.endDate >= date);
+  if (covering.some(entry => entry.type === 'leave' || entry.type === 'holiday')) return null;
+
+  const halfDay = covering.find(entry => entry.type === 'half-day');
+  if (halfDay) return halfDay.hours;
+
+  if (doctor.weeklyHours && doctor.weeklyHours.length > 0) {
+    const weekday = toDate(date).getDay();
+    return doctor.weeklyHours.find(entry => entry.day === weekday) || null;
+  }
+
+  return doctor.workingHours || null;
+};
+
+/**
+ * Build every slot in a doctor's working day, ignoring existing bookings
+ * @param {Object} doctor - Doctor user document
+ * @param {string} date - Date string ("YYYY-MM-DD")
+ * @param {Array<Object>} timeOff - TimeOff entries covering the date
+ * @returns {Array<Object>} Slots with time, start and end
+ */
+const buildSlots = (doctor, date, timeOff = []) => {
+  if (!doctor || doctor.role !== 'doctor' || doctor.isAvailable === false) return [];
+
+  const hours = getWorkingHours(doctor, date, timeOff) || {};
+  if (!isValidTime(hours.start) || !isValidTime(hours.end)) return [];
+
+  const duration = doctor.slotDuration || 30;
+  const breaks = (doctor.breaks || [])
+    .filter(b => isValidTime(b.start) && isValidTime(b.end))
+    .map(b => ({ start: toMinutes(b.start), end: toMinutes(b.end) }));
+
+  const slots = [];
+  const dayEnd = toMinutes(hours.end);
+
+  for (let start = toMinutes(hours.start); start + duration <= dayEnd; start += duration) {
+    const end = start + duration;
+    const overlapsBreak = breaks.some(b => start < b.end && end > b.start);
+    if (overlapsBreak) continue;
+
+    slots.push({
+      time: toTimeString(start),
+      start: toDate(date, start),
+      end: toDate(date, end)
+    });
+  }
+
+  return slots;
+};
+
+/**
+ * Get a doctor's bookable slots for a date, excluding booked and past slots
+ * @param {Object} doctor - Doctor user document
+ * @param {string} date - Date string ("YYYY-MM-DD")
+ * @returns {Promise<Array<Object>>} Free slots
+ */
+const getAvailableSlots = async (doctor, date) => {
+  const timeOff = await TimeOff.findForDoctor(doctor._id, date);
+  const slots = buildSlots(doctor, date, timeOff);
+  if (slots.length === 0) return [];
+
+  const booked = await Appointment.find({
+    doctor: doctor._id,
+    status: { $ne: 'cancelled' },
+    start: { $gte: toDate(date), $lt: toDate(date, 24 * 60) }
+  }).select('start');
+
+  const bookedTimes = new Set(booked.map(a => a.start.getTime()));
+  const now = Date.now();
+
+  return slots.filter(slot => !bookedTimes.has(slot.start.getTime()) && slot.start.getTime() > now);
+};
+
+/**
+ * Find the slot starting at a given time, if the doctor works then
+ * @param {Object} doctor - Doctor user document
+ * @param {string} date - Date string ("YYYY-MM-DD")
+ * @param {string} time - Time string ("HH:mm")
+ * @returns {Promise<Object|null>} Matching slot
+ */
+const findSlot = async (doctor, date, time) => {
+  const timeOff = await TimeOff.findForDoctor(doctor._id, date);
+  return buildSlots(doctor, date, timeOff).find(slot => slot.time === time) || null;
+};
+
+/**
+ * Check whether time off makes an existing booking impossible
+ * @param {Object} appointment - Appointment with date, time and end
+ * @param {Object} timeOff - TimeOff entry
+ * @returns {boolean} Whether the appointment falls in the time off
+ */
+const conflictsWithTimeOff = (appointment, timeOff) => {
+  if (appointment.date < timeOff.startDate || appointment.date > timeOff.endDate) return false;
+  if (timeOff.type !== 'half-day') return true;
+
+  const start = toMinutes(appointment.time);
+  const end = appointment.end && appointment.start
+    ? start + Math.round((appointment.end - appointment.start) / 60000)
+    : start;
+  return start < toMinutes(timeOff.hours.start) || end > toMinutes(timeOff.hours.end);
+};
+
+module.exports = {
+  isValidTime,
+  isValidDate,
+  toMinutes,
+  toTimeString,
+  getDayName,
+  getWorkingHours,
+  buildSlots,
+  getAvailableSlots,
+  findSlot,
+  conflictsWithTimeOff
+};
@@ -0,0 +1,46 @@
+const Appointment = require('../models/Appointment');
+const { conflictsWithTimeOff } = require('./slotService');
+
+/**
+ * Flag live bookings that fall inside newly added time off
+ * @param {Object} timeOff - Saved TimeOff document
+ * @returns {Promise<Array<Object>>} The flagged appointments
+ */
+const flagConflictingAppointments = async (timeOff) => {
+  const query = {
+    status: { $in: Appointment.ACTIVE_STATUSES },
+    date: { $gte: timeOff.startDate, $lte: timeOff.endDate }
+  };
+  if (timeOff.doctor) query.doctor = timeOff.doctor;
+
+  const candidates = await Appointment.find(query).populate('user', 'name email');
+  const conflicts = candidates.filter(appointment => conflictsWithTimeOff(appointment, timeOff));
+
+  if (conflicts.length) {
+    await Appointment.updateMany(
+      { _id: { $in: conflicts.map(appointment => appointment._id) } },
+      { $set: { timeOffConflict: timeOff._id } }
+    );
+    conflicts.forEach(appointment => { appointment.timeOffConflict = timeOff._id; });
+  }
+
+  return conflicts;
+};
+
+/**
+ * Clear conflict flags left by time off that was removed
+ * @param {string} timeOffId - Removed TimeOff id
+ * @returns {Promise<number>} Number of appointments unflagged
+ */
+const clearConflictFlags = async (timeOffId) => {
+  const result = await Appointment.updateMany(
+    { timeOffConflict: timeOffId },
+    { $unset: { timeOffConflict: '' } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  flagConflictingAppointments,
+  clearConflictFlags
+};
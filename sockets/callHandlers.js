@@ -1,119 +1,571 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Call = require('../models/Call');
+const { createCall, acceptCall, rejectCall, missCall, endCall } = require('../services/callService');
+const { addMessage, markMessages, getCounterpartId } = require('../services/callChatService');
+const { getIceServers } = require('../services/iceService');
+const socketAuth = require('./socketAuth');
+const { canJoinRoom } = require('./roomAccess');
+const { createPresenceTracker } = require('./presence');
+const { createCallQueue } = require('./callQueue');
+const { createGroupRooms } = require('./groupRooms');
+const { createRelay } = require('./relay');
+const { createInstanceRegistry } = require('./instances');
+const { createStore } = require('./store');
 
-// In-memory storage
-function socketHandler(io) {
+// How long a call rings before it counts as missed
+const RING_TIMEOUT_MS = Number(process.env.RING_TIMEOUT_MS) || 30000;
+
+// Store keys: each socket's { userId, roomId }, each room's socket ids,
+// each live call and the set of live call ids
+const socketKey = (socketId) => `socket:${socketId}`;
+const roomKey = (roomId) => `room:${roomId}`;
+const callKey = (callId) => `call:${callId}`;
+const ACTIVE_CALLS_KEY = 'active-calls';
+
+/**
+ * Attach the signaling events to a Socket.IO server
+ * Users, rooms and calls are kept in the store rather than in this process, so
+ * several instances sharing a store can signal between each other.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Signaling store; defaults to one from the environment
+ * @param {number} [options.heartbeatMs] - Instance heartbeat interval (see ./instances)
+ * @returns {Object} { callQueue, store, instances }
+ */
+function socketHandler(io, { store = createStore(), heartbeatMs } = {}) {
   console.log('🔌 Socket.IO handler initialized');
 
-  // Store active users and rooms
-  const users = new Map();
-  const rooms = new Map();
+  // Every connection must present a valid JWT
+  io.use(socketAuth);
+
+  const relay = createRelay(io, store);
+
+  // Ring timeouts of calls placed from this instance, by call id
+  const ringTimers = new Map();
+
+  // Ringing and in-progress calls:
+  // { callId, callerId, calleeId, callerSocketId, calleeSocketId, ringingSocketIds }
+  const loadCall = (callId) => store.get(callKey(callId));
+
+  const saveCall = async (call) => {
+    await store.set(callKey(call.callId), call);
+    await store.addToSet(ACTIVE_CALLS_KEY, call.callId);
+  };
+
+  const forgetCall = async (callId) => {
+    clearTimeout(ringTimers.get(callId));
+    ringTimers.delete(callId);
+    await store.removeFromSet(ACTIVE_CALLS_KEY, callId);
+    await store.del(callKey(callId));
+  };
+
+  const listActiveCalls = async () => {
+    const callIds = await store.members(ACTIVE_CALLS_KEY);
+    return (await Promise.all(callIds.map(loadCall))).filter(Boolean);
+  };
+
+  // Sockets in a room and whose they are, across instances
+  const getRoomMembers = async (roomId) => {
+    const socketIds = await store.members(roomKey(roomId));
+    const states = await Promise.all(socketIds.map(id => store.get(socketKey(id))));
+    return socketIds
+      .map((socketId, index) => (states[index] ? { socketId, userId: states[index].userId } : null))
+      .filter(Boolean);
+  };
+
+  // Take all of a user's sockets out of a room, wherever they are connected
+  const evictFromRoom = async (roomId, userId) => {
+    const socketIds = (await getRoomMembers(roomId))
+      .filter(member => member.userId === userId)
+      .map(member => member.socketId);
+
+    await Promise.all(socketIds.map(async (socketId) => {
+      await store.removeFromSet(roomKey(roomId), socketId);
+      await store.set(socketKey(socketId), { userId, roomId: null });
+    }));
+    relay.leave(socketIds, roomId);
+    if (socketIds.length) relay.emit(roomId, 'user-disconnected', userId, { except: socketIds });
+  };
+
+  // Close a call nobody picked up and tell both sides
+  const markMissed = async (call, reason) => {
+    clearTimeout(ringTimers.get(call.callId));
+    ringTimers.delete(call.callId);
+
+    try {
+      // It may have been answered or ended in the meantime, possibly on another instance
+      if (!(await missCall(call.callId, reason))) return;
+    } catch (err) {
+      console.error(`Failed to record missed call ${call.callId}:`, err.message);
+    }
+
+    await forgetCall(call.callId);
+    relay.emit([call.callerSocketId, ...call.ringingSocketIds], 'call-missed', { callId: call.callId, reason });
+  };
+
+  // The other side's sockets in a call: every ringing device until the callee picks up on one
+  const peerSocketIds = (call, userId) => {
+    if (call.callerId !== userId) return [call.callerSocketId];
+    return call.calleeSocketId ? [call.calleeSocketId] : call.ringingSocketIds;
+  };
+
+  // Persist the end of a call and tell the other side of the user ending it
+  const finishCall = async (call, userId) => {
+    await forgetCall(call.callId);
+    relay.emit(peerSocketIds(call, userId), 'call-ended', { callId: call.callId });
+
+    try {
+      await endCall(call.callId);
+    } catch (err) {
+      console.error(`Failed to record end of call ${call.callId}:`, err.message);
+    }
+  };
+
+  // Take a socket out of its room, if any; leave drops it from the Socket.IO room
+  const leaveRoom = async (socketId, userId, leave) => {
+    const state = await store.get(socketKey(socketId));
+    if (!state || !state.roomId) return;
+
+    const { roomId } = state;
+    leave(roomId);
+    relay.emit(roomId, 'user-disconnected', userId, { except: socketId });
+
+    await store.removeFromSet(roomKey(roomId), socketId);
+    await store.set(socketKey(socketId), { userId, roomId: null });
+    await groupRooms.left(roomId, userId);
+    console.log(`User ${userId} left room ${roomId}`);
+  };
+
+  const presence = createPresenceTracker({ store, relay });
+  presence.reset();
+
+  // Employees waiting for an on-call doctor
+  const callQueue = createCallQueue({ store, relay, presence });
+
+  // Lobby and host controls for group sessions
+  const groupRooms = createGroupRooms({ store, relay, presence, getRoomMembers, evict: evictFromRoom });
+
+  /**
+   * Clean up after a closed socket: its room, presence, queue places and calls
+   * Also used for the sockets of an instance that stopped without doing it.
+   * @param {string} socketId - Socket id
+   * @param {Object} user - Socket user ({ userId, role, name })
+   */
+  const releaseSocket = async (socketId, user) => {
+    const { userId } = user;
+    await leaveRoom(socketId, userId, () => {});
+    if ((await presence.disconnect({ id: socketId, user })) === 0) await callQueue.userDisconnected(userId);
+
+    const calls = await listActiveCalls();
+    // Calls this socket was part of end with it
+    const dropped = calls.filter(call => call.callerSocketId === socketId || call.calleeSocketId === socketId);
+    // A ringing device going away doesn't end the call while the callee's other devices keep ringing
+    const unreachable = [];
+    await Promise.all(calls.map(async (call) => {
+      if (dropped.includes(call) || !call.ringingSocketIds.includes(socketId)) return;
+      call.ringingSocketIds = call.ringingSocketIds.filter(id => id !== socketId);
+      if (!call.calleeSocketId && call.ringingSocketIds.length === 0) unreachable.push(call);
+      else await saveCall(call);
+    }));
+    await Promise.all([
+      ...dropped.map(call => finishCall(call, userId)),
+      ...unreachable.map(call => markMissed(call, 'no-answer'))
+    ]);
+
+    await store.del(socketKey(socketId));
+  };
+
+  // Which sockets this instance holds, so others can release them if it stops
+  const instances = createInstanceRegistry({
+    store,
+    heartbeatMs,
+    release: ({ socketId, ...user }) => releaseSocket(socketId, user)
+  });
+  instances.start().catch(err => console.error('Failed to register instance:', err.message));
 
   io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
+    const { userId } = socket.user;
+    const connected = Promise.all([
+      store.set(socketKey(socket.id), { userId, roomId: null }),
+      instances.track(socket),
+      presence.connect(socket)
+    ])
+      .then(() => callQueue.userConnected(userId))
+      .catch(err => console.error(`Failed to register socket ${socket.id}:`, err.message));
+    console.log('User connected:', socket.id, userId);
+
+    // Tell the client why a request was refused
+    const deny = (event, message) => socket.emit('unauthorized', { event, message });
+
+    // Payload ids are optional, but if sent they must match the authenticated user
+    const isSpoofed = (claimedId) => claimedId !== undefined && claimedId !== null && String(claimedId) !== userId;
+
+    // Signaling is only relayed between sockets in the same room
+    const sharesRoom = async (targetSocketId) => {
+      if (!targetSocketId) return false;
+      const [sender, target] = await Promise.all([
+        store.get(socketKey(socket.id)),
+        store.get(socketKey(targetSocketId))
+      ]);
+      return Boolean(sender && target && sender.roomId && sender.roomId === target.roomId);
+    };
+
+    // Remove this socket from its current room, if any
+    const leaveCurrentRoom = () => leaveRoom(socket.id, userId, roomId => socket.leave(roomId));
+
+    // Find a live call this user takes part in, by id or (for older clients) by the peer's socket id
+    const findActiveCall = async ({ callId, to } = {}) => {
+      if (callId) {
+        const call = await loadCall(String(callId));
+        return call && [call.callerId, call.calleeId].includes(userId) ? call : null;
+      }
+      for (const call of await listActiveCalls()) {
+        if (call.calleeId === userId && call.callerSocketId === to) return call;
+        if (call.callerId === userId && (call.calleeSocketId === to || call.ringingSocketIds.includes(to))) return call;
+      }
+      return null;
+    };
 
     // Join room
-    socket.on('join-room', ({ roomId, userId }) => {
-      socket.join(roomId);
-      users.set(socket.id, { userId, roomId });
+    socket.on('join-room', async ({ roomId, userId: claimedUserId } = {}) => {
+      if (isSpoofed(claimedUserId)) {
+        return deny('join-room', 'userId does not match the authenticated user');
+      }
 
-      if (!rooms.has(roomId)) {
-        rooms.set(roomId, new Set());
+      let admission;
+      try {
+        if (!(await canJoinRoom(socket.user, roomId))) {
+          return deny('join-room', 'You are not a participant of this room');
+        }
+        // Group sessions also have a lobby, a lock and a size limit
+        admission = await groupRooms.checkJoin(socket.user, roomId);
+      } catch (err) {
+        console.error('Room access check failed:', err.message);
+        return deny('join-room', 'Could not verify room access');
       }
 
-      // Get current users in room (excluding the new user)
-      const currentUsers = Array.from(rooms.get(roomId))
-        .map(socketId => {
-          const user = users.get(socketId);
-          return user ? user.userId : null;
-        })
-        .filter(Boolean)
-        .filter(existingUserId => existingUserId !== userId);
+      if (admission && admission.error) return deny('join-room', admission.error);
+      if (admission && admission.waiting) return socket.emit('group-waiting', { roomId });
+
+      try {
+        // A socket is in one call room at a time
+        const state = await store.get(socketKey(socket.id));
+        if (state && state.roomId !== roomId) {
+          await leaveCurrentRoom();
+        }
+
+        socket.join(roomId);
+        await store.set(socketKey(socket.id), { userId, roomId });
+
+        // Get current users in room (excluding the new user), wherever they are connected
+        const currentUsers = (await getRoomMembers(roomId))
+          .map(member => member.userId)
+          .filter(existingUserId => existingUserId !== userId);
+
+        const roomSize = await store.addToSet(roomKey(roomId), socket.id);
+
+        // Send current users to the new user
+        socket.emit('room-users', currentUsers);
 
-      rooms.get(roomId).add(socket.id);
+        // Fresh ICE servers and TURN credentials for the connection about to be set up
+        socket.emit('ice-servers', getIceServers(userId));
 
-      // Send current users to the new user
-      socket.emit('room-users', currentUsers);
+        // Notify others in the room about the new user
+        relay.emit(roomId, 'user-connected', userId, { except: socket.id });
 
-      // Notify others in the room about the new user
-      socket.to(roomId).emit('user-connected', userId);
+        if (admission) await groupRooms.joined(socket, admission.session);
 
-      console.log(`User ${userId} joined room ${roomId}. Users in room: ${Array.from(rooms.get(roomId)).length}`);
+        console.log(`User ${userId} joined room ${roomId}. Users in room: ${roomSize}`);
+      } catch (err) {
+        console.error('Failed to join room:', err.message);
+        if (admission) await groupRooms.left(roomId, userId).catch(() => {});
+        deny('join-room', 'Could not join the room');
+      }
     });
 
+    // A failing store or database call is reported to the client rather than left as an unhandled rejection
+    const handle = (event, handler) => async (payload) => {
+      try {
+        await handler(payload);
+      } catch (err) {
+        console.error(`Failed to handle ${event}:`, err.message);
+        socket.emit('call-error', { event, message: `Could not handle ${event}` });
+      }
+    };
+
+    // Group session host controls; group-mute is advisory (see groupRooms.mute)
+    const hostAction = (event, action) => async (payload = {}) => {
+      try {
+        await action(payload);
+      } catch (err) {
+        if (!err.statusCode) console.error(`Failed to handle ${event}:`, err.message);
+        deny(event, err.statusCode ? err.message : 'Could not update the session');
+      }
+    };
+
+    socket.on('group-admit', hostAction('group-admit', ({ roomId, userId: target }) =>
+      groupRooms.admit(socket.user, roomId, target)));
+
+    socket.on('group-mute', hostAction('group-mute', ({ roomId, userId: target, muted = true }) =>
+      groupRooms.mute(socket.user, roomId, target, muted)));
+
+    socket.on('group-remove', hostAction('group-remove', ({ roomId, userId: target }) =>
+      groupRooms.remove(socket.user, roomId, target)));
+
+    socket.on('group-lock', hostAction('group-lock', ({ roomId, locked = true }) =>
+      groupRooms.lock(socket.user, roomId, locked)));
+
     // WebRTC signaling events
-    socket.on('offer', ({ offer, to }) => {
-      socket.to(to).emit('offer', {
+    socket.on('offer', handle('offer', async ({ offer, to } = {}) => {
+      if (!(await sharesRoom(to))) return deny('offer', 'Target is not in your room');
+      relay.emit(to, 'offer', {
         offer,
         from: socket.id
       });
-    });
+    }));
 
-    socket.on('answer', ({ answer, to }) => {
-      socket.to(to).emit('answer', {
+    socket.on('answer', handle('answer', async ({ answer, to } = {}) => {
+      if (!(await sharesRoom(to))) return deny('answer', 'Target is not in your room');
+      relay.emit(to, 'answer', {
         answer,
         from: socket.id
       });
-    });
+    }));
 
-    socket.on('ice-candidate', ({ candidate, to }) => {
-      socket.to(to).emit('ice-candidate', {
+    socket.on('ice-candidate', handle('ice-candidate', async ({ candidate, to } = {}) => {
+      if (!(await sharesRoom(to))) return deny('ice-candidate', 'Target is not in your room');
+      relay.emit(to, 'ice-candidate', {
         candidate,
         from: socket.id
       });
-    });
+    }));
 
     // Call events
-    socket.on('call-user', ({ userToCall, signalData, from, name }) => {
-      // Find the socket ID for the user
-      let targetSocketId = null;
-      for (let [socketId, userData] of users.entries()) {
-        if (userData.userId === userToCall) {
-          targetSocketId = socketId;
-          break;
+    socket.on('call-user', handle('call-user', async ({ userToCall, signalData, from } = {}) => {
+      if (isSpoofed(from)) {
+        return deny('call-user', 'from does not match the authenticated user');
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(userToCall) || String(userToCall) === userId) {
+        return deny('call-user', 'Invalid user to call');
+      }
+
+      let call;
+      try {
+        // Ring every tab and device the user has open, on any instance
+        const targetSocketIds = await presence.getSocketIds(userToCall);
+        const record = await createCall(userId, userToCall);
+
+        call = {
+          callId: String(record._id),
+          callerId: userId,
+          calleeId: String(userToCall),
+          callerSocketId: socket.id,
+          calleeSocketId: null,
+          ringingSocketIds: targetSocketIds
+        };
+        await saveCall(call);
+      } catch (err) {
+        console.error('Failed to record call:', err.message);
+        return deny('call-user', 'Could not start the call');
+      }
+
+      const { callId } = call;
+
+      socket.emit('call-initiated', { callId });
+
+      if (!call.ringingSocketIds.length) {
+        return markMissed(call, 'offline');
+      }
+
+      relay.emit(call.ringingSocketIds, 'call-made', {
+        signal: signalData,
+        from: socket.id,
+        userId,
+        name: socket.user.name,
+        callId
+      });
+
+      ringTimers.set(callId, setTimeout(async () => {
+        ringTimers.delete(callId);
+        try {
+          // Re-read it: it may have been answered or ended on another instance
+          const current = await loadCall(callId);
+          if (current && !current.calleeSocketId) await markMissed(current, 'no-answer');
+        } catch (err) {
+          console.error(`Ring timeout failed for call ${callId}:`, err.message);
         }
+      }, RING_TIMEOUT_MS));
+    }));
+
+    socket.on('answer-call', handle('answer-call', async ({ signal, to, callId } = {}) => {
+      const call = await findActiveCall({ callId, to });
+      if (!call || call.calleeId !== userId) {
+        return deny('answer-call', 'No incoming call to answer');
+      }
+
+      // Stop the ring timeout first so it can't fire while the answer is being saved.
+      // A timer on another instance is settled by the database: only one of answer and miss wins.
+      clearTimeout(ringTimers.get(call.callId));
+      ringTimers.delete(call.callId);
+
+      try {
+        if (!(await acceptCall(call.callId, userId))) {
+          return deny('answer-call', 'Call is no longer ringing');
+        }
+      } catch (err) {
+        console.error(`Failed to record answer of call ${call.callId}:`, err.message);
+        return deny('answer-call', 'Could not answer the call');
+      }
+
+      call.calleeSocketId = socket.id;
+      await saveCall(call);
+      relay.emit(call.callerSocketId, 'call-accepted', signal);
+
+      // Stop ringing on the callee's other tabs and devices
+      const otherDevices = call.ringingSocketIds.filter(id => id !== socket.id);
+      relay.emit(otherDevices, 'call-answered-elsewhere', { callId: call.callId });
+    }));
+
+    socket.on('reject-call', handle('reject-call', async ({ to, callId } = {}) => {
+      const call = await findActiveCall({ callId, to });
+      if (!call || call.calleeId !== userId) {
+        return deny('reject-call', 'No incoming call to reject');
+      }
+
+      await forgetCall(call.callId);
+      relay.emit(call.callerSocketId, 'call-rejected', { callId: call.callId });
+
+      const otherDevices = call.ringingSocketIds.filter(id => id !== socket.id);
+      relay.emit(otherDevices, 'call-ended', { callId: call.callId });
+
+      try {
+        await rejectCall(call.callId, userId);
+      } catch (err) {
+        console.error(`Failed to record rejection of call ${call.callId}:`, err.message);
       }
+    }));
+
+    socket.on('end-call', handle('end-call', async ({ to, callId } = {}) => {
+      const call = await findActiveCall({ callId, to });
+      if (!call) {
+        return deny('end-call', 'No active call to end');
+      }
+
+      await finishCall(call, userId);
+    }));
+
+    // In-call chat; messages are saved on the call so both sides can read the transcript afterwards
+    socket.on('chat-message', async ({ callId, text, attachment, clientId } = {}) => {
+      try {
+        const { call, message } = await addMessage(callId, userId, { text, attachment });
+        const payload = { callId: String(call._id), message: message.toObject() };
+        socket.emit('chat-message-sent', { ...payload, clientId });
 
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('call-made', {
-          signal: signalData,
-          from: socket.id,
-          name
+        // The other participant, and the sender's other tabs and devices
+        const [peerSockets, ownSockets] = await Promise.all([
+          presence.getSocketIds(getCounterpartId(call, userId)),
+          presence.getSocketIds(userId)
+        ]);
+        relay.emit([...peerSockets, ...ownSockets], 'chat-message', payload, { except: socket.id });
+      } catch (err) {
+        if (!err.statusCode) console.error('Failed to send chat message:', err.message);
+        deny('chat-message', err.statusCode ? err.message : 'Could not send the message');
+      }
+    });
+
+    // Delivery and read receipts, passed back to the sender
+    const handleReceipt = (receipt) => async ({ callId, messageIds } = {}) => {
+      try {
+        const { call, messages } = await markMessages(callId, userId, messageIds, receipt);
+        if (!messages.length) return;
+
+        relay.emit(await presence.getSocketIds(getCounterpartId(call, userId)), 'chat-receipt', {
+          callId: String(call._id),
+          receipts: messages.map(message => ({
+            messageId: String(message._id),
+            deliveredAt: message.deliveredAt,
+            readAt: message.readAt
+          }))
         });
+      } catch (err) {
+        if (!err.statusCode) console.error(`Failed to record ${receipt} receipt:`, err.message);
+        deny(`chat-${receipt}`, err.statusCode ? err.message : 'Could not record the receipt');
+      }
+    };
+
+    socket.on('chat-delivered', handleReceipt('delivered'));
+    socket.on('chat-read', handleReceipt('read'));
+
+    // Live doctor presence for employees' online-doctor lists
+    socket.on('subscribe-presence', async () => {
+      try {
+        await presence.subscribe(socket);
+      } catch (err) {
+        console.error('Presence subscription failed:', err.message);
       }
     });
 
-    socket.on('answer-call', ({ signal, to }) => {
-      io.to(to).emit('call-accepted', signal);
+    socket.on('unsubscribe-presence', () => {
+      presence.unsubscribe(socket);
     });
 
-    socket.on('reject-call', ({ to }) => {
-      io.to(to).emit('call-rejected');
+    // Waiting room: employees queue for a doctor, who takes them one at a time
+    socket.on('queue-join', async ({ doctorId } = {}) => {
+      if (socket.user.role !== 'employee') {
+        return deny('queue-join', 'Only employees can join a doctor queue');
+      }
+
+      try {
+        const result = await callQueue.join(socket.user, doctorId);
+        if (result.error) return deny('queue-join', result.error);
+        socket.emit('queue-joined', { doctorId, position: result.position });
+      } catch (err) {
+        console.error('Failed to join queue:', err.message);
+        deny('queue-join', 'Could not join the queue');
+      }
     });
 
-    socket.on('end-call', ({ to }) => {
-      io.to(to).emit('call-ended');
+    socket.on('queue-leave', async ({ doctorId } = {}) => {
+      try {
+        await callQueue.leave(socket.user, doctorId);
+        socket.emit('queue-left', { doctorId });
+      } catch (err) {
+        console.error('Failed to leave queue:', err.message);
+        deny('queue-leave', 'Could not leave the queue');
+      }
     });
 
-    // Disconnect handling
-    socket.on('disconnect', () => {
-      const user = users.get(socket.id);
-      if (user) {
-        const { roomId, userId } = user;
-        socket.to(roomId).emit('user-disconnected', userId);
-
-        if (rooms.has(roomId)) {
-          rooms.get(roomId).delete(socket.id);
-          if (rooms.get(roomId).size === 0) {
-            rooms.delete(roomId);
-          }
-        }
+    // The doctor gets the next patient and calls them with call-user as usual
+    socket.on('queue-next', async () => {
+      if (socket.user.role !== 'doctor') {
+        return deny('queue-next', 'Only doctors can take patients from their queue');
+      }
+
+      try {
+        const patient = await callQueue.next(userId);
+        socket.emit('queue-next-patient', patient ? { userId: patient.userId, name: patient.name } : null);
+      } catch (err) {
+        console.error('Failed to take next patient:', err.message);
+        deny('queue-next', 'Could not take the next patient');
+      }
+    });
 
-        users.delete(socket.id);
-        console.log(`User ${userId} disconnected from room ${roomId}`);
+    // Disconnect handling
+    socket.on('disconnect', async () => {
+      try {
+        await connected;
+        await releaseSocket(socket.id, socket.user);
+        await instances.untrack(socket);
+      } catch (err) {
+        console.error(`Failed to clean up socket ${socket.id}:`, err.message);
       }
+      console.log('User disconnected:', socket.id, userId);
     });
   });
+
+  return { callQueue, store, instances };
 }
 
 module.exports = socketHandler;
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Call = require('../models/Call');
+
+const DEFAULT_CONSULT_MINUTES = Number(process.env.QUEUE_DEFAULT_CONSULT_MINUTES) || 15;
+
+// Store keys: doctors with a queue, each queue's patient ids in order,
+// each patient's entry, and the doctors a patient is queued for
+const QUEUED_DOCTORS_KEY = 'queued-doctors';
+const queueKey = (doctorId) => `queue:${doctorId}`;
+const entryKey = (doctorId, userId) => `queue-entry:${doctorId}:${userId}`;
+const userQueuesKey = (userId) => `user-queues:${userId}`;
+
+/**
+ * Per-doctor waiting queues for employees calling an on-call doctor
+ * Entries are kept by user rather than socket, so a patient who drops for less
+ * than the grace period keeps their place.
+ * @param {Object} options
+ * @param {Object} options.store - Signaling store
+ * @param {Object} options.relay - Cross-instance event relay
+ * @param {Object} options.presence - Presence tracker from ./presence
+ * @param {number} [options.graceMs] - How long a disconnected patient keeps their place
+ * @returns {Object} Call queue
+ */
+function createCallQueue({ store, relay, presence, graceMs = Number(process.env.QUEUE_GRACE_MS) || 60000 }) {
+  // `${doctorId}:${userId}` -> removal timer for a patient who disconnected from this instance
+  const removalTimers = new Map();
+  // doctorId -> average consultation length in minutes
+  const consultMinutes = new Map();
+
+  const emitToUser = async (userId, event, payload) => {
+    relay.emit(await presence.getSocketIds(userId), event, payload);
+  };
+
+  // Average of the doctor's recent calls, used for wait estimates
+  const refreshConsultMinutes = async (doctorId) => {
+    const [stats] = await Call.aggregate([
+      {
+        $match: {
+          status: 'ended',
+          duration: { $gt: 0 },
+          $or: [{ caller: new mongoose.Types.ObjectId(doctorId) }, { callee: new mongoose.Types.ObjectId(doctorId) }]
+        }
+      },
+      { $sort: { startTime: -1 } },
+      { $limit: 20 },
+      { $group: { _id: null, average: { $avg: '$duration' } } }
+    ]);
+    consultMinutes.set(doctorId, stats ? Math.max(1, Math.round(stats.average / 60)) : DEFAULT_CONSULT_MINUTES);
+  };
+
+  // A doctor's queue in order, with each patient's entry
+  const loadQueue = async (doctorId) => {
+    const userIds = await store.listRange(queueKey(doctorId));
+    const entries = await Promise.all(userIds.map(userId => store.get(entryKey(doctorId, userId))));
+    return entries.filter(Boolean);
+  };
+
+  const snapshotQueue = async (doctorId) => (await loadQueue(doctorId)).map((entry, index) => ({
+    position: index + 1,
+    userId: entry.userId,
+    name: entry.name,
+    joinedAt: entry.joinedAt,
+    connected: !entry.disconnectedAt
+  }));
+
+  // Send every waiting patient their position, and the doctor the full list
+  const broadcast = async (doctorId) => {
+    const patients = await snapshotQueue(doctorId);
+    const minutes = consultMinutes.get(doctorId) || DEFAULT_CONSULT_MINUTES;
+
+    await Promise.all(patients.map(patient => emitToUser(patient.userId, 'queue-update', {
+      doctorId,
+      position: patient.position,
+      estimatedWaitMinutes: (patient.position - 1) * minutes
+    })));
+
+    await emitToUser(doctorId, 'queue-changed', { doctorId, patients });
+  };
+
+  /**
+   * Take a patient off a queue
+   * @returns {Promise<boolean>} Whether they were still in it (false if another instance got there first)
+   */
+  const removeEntry = async (doctorId, userId) => {
+    const key = `${doctorId}:${userId}`;
+    clearTimeout(removalTimers.get(key));
+    removalTimers.delete(key);
+
+    const removed = await store.removeFromList(queueKey(doctorId), userId);
+    if (!removed) return false;
+
+    await Promise.all([
+      store.del(entryKey(doctorId, userId)),
+      store.removeFromSet(userQueuesKey(userId), doctorId)
+    ]);
+    if ((await store.listRange(queueKey(doctorId))).length === 0) {
+      await store.removeFromSet(QUEUED_DOCTORS_KEY, doctorId);
+    }
+    return true;
+  };
+
+  /**
+   * Add an employee to a doctor's queue
+   * @returns {Promise<Object>} { position } or { error }
+   */
+  const join = async (user, doctorId) => {
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) return { error: 'Invalid doctor id' };
+    doctorId = String(doctorId);
+
+    const doctor = await User.exists({ _id: doctorId, role: 'doctor' });
+    if (!doctor) return { error: 'Doctor not found' };
+    if (!(await presence.isOnline(doctorId))) return { error: 'Doctor is not online' };
+
+    // Creating the entry is the atomic claim, so two tabs joining at once queue the user only once
+    const claimed = await store.setIfAbsent(entryKey(doctorId, user.userId), {
+      userId: user.userId,
+      name: user.name,
+      joinedAt: new Date(),
+      disconnectedAt: null
+    });
+    if (claimed) {
+      await store.pushToList(queueKey(doctorId), user.userId);
+      await store.addToSet(userQueuesKey(user.userId), doctorId);
+      await store.addToSet(QUEUED_DOCTORS_KEY, doctorId);
+    }
+
+    const userIds = await store.listRange(queueKey(doctorId));
+    if (!consultMinutes.has(doctorId)) await refreshConsultMinutes(doctorId);
+    await broadcast(doctorId);
+    return { position: userIds.indexOf(user.userId) + 1 };
+  };
+
+  const leave = async (user, doctorId) => {
+    if (await removeEntry(String(doctorId), user.userId)) await broadcast(String(doctorId));
+  };
+
+  /**
+   * Take the first connected patient off the doctor's queue
+   * @returns {Promise<Object|null>} The patient's entry
+   */
+  const next = async (doctorId) => {
+    for (const entry of await loadQueue(doctorId)) {
+      if (entry.disconnectedAt) continue;
+      // Skip anyone a parallel request already took
+      if (!(await removeEntry(doctorId, entry.userId))) continue;
+
+      await emitToUser(entry.userId, 'queue-your-turn', { doctorId });
+      await broadcast(doctorId);
+      refreshConsultMinutes(doctorId).catch(err => console.error('Failed to refresh consult time:', err.message));
+      return entry;
+    }
+    return null;
+  };
+
+  // A patient's last socket went away: hold their places for the grace period
+  const userDisconnected = async (userId) => {
+    const doctorIds = await store.members(userQueuesKey(userId));
+
+    await Promise.all(doctorIds.map(async (doctorId) => {
+      const entry = await store.get(entryKey(doctorId, userId));
+      if (!entry) return;
+
+      await store.set(entryKey(doctorId, userId), { ...entry, disconnectedAt: new Date() });
+      const key = `${doctorId}:${userId}`;
+      clearTimeout(removalTimers.get(key));
+      const timer = setTimeout(async () => {
+        removalTimers.delete(key);
+        try {
+          // They may have reconnected to another instance
+          const current = await store.get(entryKey(doctorId, userId));
+          if (current && current.disconnectedAt && await removeEntry(doctorId, userId)) await broadcast(doctorId);
+        } catch (err) {
+          console.error(`Failed to drop ${userId} from queue:`, err.message);
+        }
+      }, graceMs);
+      timer.unref();
+      removalTimers.set(key, timer);
+      await broadcast(doctorId);
+    }));
+  };
+
+  // A patient came back: restore their places and resend positions
+  const userConnected = async (userId) => {
+    const doctorIds = await store.members(userQueuesKey(userId));
+
+    await Promise.all(doctorIds.map(async (doctorId) => {
+      const entry = await store.get(entryKey(doctorId, userId));
+      if (!entry) return;
+
+      const key = `${doctorId}:${userId}`;
+      clearTimeout(removalTimers.get(key));
+      removalTimers.delete(key);
+      await store.set(entryKey(doctorId, userId), { ...entry, disconnectedAt: null });
+      await broadcast(doctorId);
+    }));
+
+    // Doctors get their own queue back too
+    if ((await store.listRange(queueKey(userId))).length) await broadcast(userId);
+  };
+
+  // Every queue, for the admin view
+  const snapshot = async () => {
+    const doctorIds = await store.members(QUEUED_DOCTORS_KEY);
+    return Promise.all(doctorIds.map(async doctorId => ({
+      doctorId,
+      estimatedConsultMinutes: consultMinutes.get(doctorId) || DEFAULT_CONSULT_MINUTES,
+      patients: await snapshotQueue(doctorId)
+    })));
+  };
+
+  return {
+    join,
+    leave,
+    next,
+    userConnected,
+    userDisconnected,
+    snapshot
+  };
+}
+
+module.exports = {
+  createCallQueue
+};
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const GroupSession = require('../models/GroupSession');
+const ErrorResponse = require('../utils/errorHandler');
+
+// Store keys for the set of invitees waiting to be admitted to a session,
+// and for the set of invitees inside it. maxParticipants includes the host,
+// whose place is always kept free, so invitees get at most maxParticipants - 1.
+const lobbyKey = (roomId) => `group-lobby:${roomId}`;
+const participantsKey = (roomId) => `group-participants:${roomId}`;
+
+/**
+ * Admission and host controls for group session rooms
+ * The session document holds who is admitted, muted or removed and whether the
+ * room is locked, so every server instance enforces the same rules.
+ * @param {Object} options
+ * @param {Object} options.store - Signaling store
+ * @param {Object} options.relay - Cross-instance event relay
+ * @param {Object} options.presence - Presence tracker from ./presence
+ * @param {Function} options.getRoomMembers - roomId -> [{ socketId, userId }]
+ * @param {Function} options.evict - (roomId, userId) -> takes the user's sockets out of the room
+ * @returns {Object} Group rooms
+ */
+function createGroupRooms({ store, relay, presence, getRoomMembers, evict }) {
+  const emitToUser = async (userId, event, payload) => {
+    relay.emit(await presence.getSocketIds(userId), event, payload);
+  };
+
+  // What every participant needs to render the session
+  const describe = (session) => ({
+    roomId: String(session._id),
+    hostId: String(session.host),
+    title: session.title,
+    locked: session.locked,
+    maxParticipants: session.maxParticipants,
+    muted: session.muted.map(String)
+  });
+
+  const broadcastState = (session) => relay.emit(String(session._id), 'group-state', describe(session));
+
+  // Tell the host who is waiting; invitees who have since gone offline are left out
+  const sendLobby = async (session) => {
+    const roomId = String(session._id);
+    const waitingIds = await store.members(lobbyKey(roomId));
+    const online = await Promise.all(waitingIds.map(id => presence.isOnline(id)));
+    const users = await User.find({ _id: { $in: waitingIds.filter((id, index) => online[index]) } }).select('name');
+
+    await emitToUser(session.host, 'group-lobby', {
+      roomId,
+      waiting: users.map(user => ({ userId: String(user._id), name: user.name }))
+    });
+  };
+
+  const loadHostedSession = async (host, roomId) => {
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      throw new ErrorResponse('Invalid room id', 400);
+    }
+    const session = await GroupSession.findOne({ _id: roomId, host: host.userId, status: 'scheduled' });
+    if (!session) {
+      throw new ErrorResponse('Only the host can manage this session', 403);
+    }
+    return session;
+  };
+
+  const assertInvited = (session, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId) || !session.invites.some(invite => String(invite.user) === String(userId))) {
+      throw new ErrorResponse('User is not invited to this session', 400);
+    }
+  };
+
+  const update = (session, changes) => GroupSession.findByIdAndUpdate(session._id, changes, { new: true });
+
+  /**
+   * Decide whether a user who may enter the room (see canJoinRoom) gets in now
+   * Invitees wait in the lobby until the host admits them, and nobody new
+   * gets in once the room is locked or full.
+   * @param {Object} user - Authenticated socket user
+   * @param {string} roomId - Requested room
+   * @returns {Promise<Object|null>} null if this isn't a group session, else { allowed, session } or { waiting } or { error }
+   */
+  const checkJoin = async (user, roomId) => {
+    if (!mongoose.Types.ObjectId.isValid(roomId)) return null;
+    const session = await GroupSession.findById(roomId);
+    if (!session) return null;
+
+    // The host's place is reserved, so they always get back in without going over the limit
+    if (session.isHost(user.userId)) return { allowed: true, session };
+
+    // Another tab of someone already inside gets in whatever the lock and lobby say
+    const inside = (await store.members(participantsKey(roomId))).includes(user.userId);
+    if (!inside) {
+      if (session.locked) return { error: 'The session is locked' };
+
+      if (!session.admitted.some(id => String(id) === user.userId)) {
+        await store.addToSet(lobbyKey(roomId), user.userId);
+        await sendLobby(session);
+        return { waiting: true };
+      }
+    }
+
+    // The size check and taking the place are one store operation, so two invitees can't both get the last place
+    if (!(await store.addToSetWithin(participantsKey(roomId), user.userId, session.maxParticipants - 1))) {
+      return { error: 'The session is full' };
+    }
+    return { allowed: true, session };
+  };
+
+  /**
+   * Give up an invitee's place once none of their sockets is left in the room
+   * Also called when a join fails after checkJoin let the user in.
+   * @param {string} roomId - Room the user left
+   * @param {string} userId - User who left
+   */
+  const left = async (roomId, userId) => {
+    const members = await getRoomMembers(roomId);
+    if (!members.some(member => member.userId === userId)) {
+      await store.removeFromSet(participantsKey(roomId), userId);
+    }
+  };
+
+  // After a socket has joined: give it the session state, and the host the lobby
+  const joined = async (socket, session) => {
+    socket.emit('group-state', describe(session));
+    if (session.isHost(socket.user.userId)) await sendLobby(session);
+  };
+
+  const admit = async (host, roomId, userId) => {
+    const session = await loadHostedSession(host, roomId);
+    assertInvited(session, userId);
+
+    const updated = await update(session, { $addToSet: { admitted: userId }, $pull: { removed: userId } });
+    await store.removeFromSet(lobbyKey(roomId), String(userId));
+    // The client joins the room again now that it will be let in
+    await emitToUser(userId, 'group-admitted', { roomId: String(roomId) });
+    await sendLobby(updated);
+  };
+
+  /**
+   * Mark a participant muted or unmuted
+   * Mute is advisory: media goes peer to peer and never passes through the
+   * server, so it can't be cut off here. The muted user's client is told to
+   * stop sending audio (group-muted), and every participant sees the muted
+   * list in group-state, so their clients can also stop playing it.
+   */
+  const mute = async (host, roomId, userId, muted = true) => {
+    const session = await loadHostedSession(host, roomId);
+    assertInvited(session, userId);
+
+    const updated = await update(session, muted ? { $addToSet: { muted: userId } } : { $pull: { muted: userId } });
+    await emitToUser(userId, 'group-muted', { roomId: String(roomId), muted: Boolean(muted) });
+    broadcastState(updated);
+  };
+
+  const remove = async (host, roomId, userId) => {
+    const session = await loadHostedSession(host, roomId);
+    assertInvited(session, userId);
+
+    const updated = await update(session, {
+      $addToSet: { removed: userId },
+      $pull: { admitted: userId, muted: userId }
+    });
+    await store.removeFromSet(lobbyKey(roomId), String(userId));
+    await evict(String(roomId), String(userId));
+    await store.removeFromSet(participantsKey(roomId), String(userId));
+    await emitToUser(userId, 'removed-from-room', { roomId: String(roomId) });
+    broadcastState(updated);
+    await sendLobby(updated);
+  };
+
+  const lock = async (host, roomId, locked = true) => {
+    const session = await loadHostedSession(host, roomId);
+    broadcastState(await update(session, { locked: Boolean(locked) }));
+  };
+
+  return {
+    checkJoin,
+    joined,
+    left,
+    admit,
+    mute,
+    remove,
+    lock
+  };
+}
+
+module.exports = {
+  createGroupRooms
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Store keys: the set of registered instances, each one's heartbeat, the
+// sockets each one holds and which live instance is cleaning up after a dead one
+const INSTANCES_KEY = 'instances';
+const aliveKey = (instanceId) => `instance-alive:${instanceId}`;
+const socketsKey = (instanceId) => `instance-sockets:${instanceId}`;
+const releaseKey = (instanceId) => `instance-release:${instanceId}`;
+
+/**
+ * Track which server instance holds which sockets, so the state a crashed
+ * instance leaves in a shared store gets cleaned up
+ * Every instance keeps refreshing a heartbeat that expires on its own. Once an
+ * instance's heartbeat has lapsed, the first live instance to notice releases
+ * that instance's sockets as if they had disconnected: presence, rooms, group
+ * places, queue entries and calls.
+ * @param {Object} options
+ * @param {Object} options.store - Signaling store
+ * @param {Function} options.release - ({ socketId, userId, role, name }) -> cleans up after a socket
+ * @param {string} [options.instanceId] - This instance's id
+ * @param {number} [options.heartbeatMs] - How often to refresh the heartbeat; it lapses after three missed beats
+ * @returns {Object} Instance registry
+ */
+function createInstanceRegistry({
+  store,
+  release,
+  instanceId = crypto.randomUUID(),
+  heartbeatMs = Number(process.env.INSTANCE_HEARTBEAT_MS) || 10000
+}) {
+  let timer = null;
+
+  // Socket set members are strings, so each socket is kept as its JSON
+  const entry = (socket) => JSON.stringify({
+    socketId: socket.id,
+    userId: socket.user.userId,
+    role: socket.user.role,
+    name: socket.user.name
+  });
+
+  const beat = () => store.set(aliveKey(instanceId), true, { ttlMs: heartbeatMs * 3 });
+
+  // Release the sockets of every instance whose heartbeat has lapsed
+  const sweep = async () => {
+    for (const otherId of await store.members(INSTANCES_KEY)) {
+      if (otherId === instanceId || await store.get(aliveKey(otherId))) continue;
+      // Only one live instance cleans up after each dead one
+      if (!(await store.setIfAbsent(releaseKey(otherId), instanceId, { ttlMs: heartbeatMs * 3 }))) continue;
+
+      for (const raw of await store.members(socketsKey(otherId))) {
+        try {
+          await release(JSON.parse(raw));
+        } catch (err) {
+          console.error(`Failed to release socket of instance ${otherId}:`, err.message);
+        }
+      }
+      await store.del(socketsKey(otherId));
+      await store.removeFromSet(INSTANCES_KEY, otherId);
+      console.log(`Released the sockets of stopped instance ${otherId}`);
+    }
+  };
+
+  const tick = async () => {
+    try {
+      await beat();
+      await sweep();
+    } catch (err) {
+      console.error('Instance heartbeat failed:', err.message);
+    }
+  };
+
+  const start = async () => {
+    await beat();
+    await store.addToSet(INSTANCES_KEY, instanceId);
+    timer = setInterval(tick, heartbeatMs);
+    timer.unref();
+    await sweep();
+  };
+
+  // Stop the heartbeat; a live instance then releases whatever this one still holds
+  const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    await store.del(aliveKey(instanceId));
+  };
+
+  const track = (socket) => store.addToSet(socketsKey(instanceId), entry(socket));
+
+  const untrack = (socket) => store.removeFromSet(socketsKey(instanceId), entry(socket));
+
+  return {
+    instanceId,
+    start,
+    stop,
+    sweep,
+    track,
+    untrack
+  };
+}
+
+module.exports = {
+  createInstanceRegistry
+};
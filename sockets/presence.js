@@ -0,0 +1,117 @@
+const User = require('../models/User');
+
+// Room that employees join to get live doctor presence updates
+const DOCTOR_PRESENCE_ROOM = 'presence:doctors';
+
+// Store key for the set of a user's open socket ids
+const userSocketsKey = (userId) => `user-sockets:${userId}`;
+
+/**
+ * Track which users are online from their socket connections
+ * A user stays online while any tab or device is connected, and only goes
+ * offline once the last socket has been gone for the grace period, so a quick
+ * reconnect doesn't flicker their status. Socket ids live in the shared store,
+ * so a user connected to any server instance counts as online.
+ * @param {Object} options
+ * @param {Object} options.store - Signaling store
+ * @param {Object} options.relay - Cross-instance event relay
+ * @param {number} [options.graceMs] - How long to wait before marking a user offline
+ * @returns {Object} Presence tracker
+ */
+function createPresenceTracker({ store, relay, graceMs = Number(process.env.PRESENCE_GRACE_MS) || 10000 }) {
+  // userId -> pending offline timer, for users whose last socket was on this instance
+  const offlineTimers = new Map();
+
+  // Persist the status and, for doctors, broadcast it to subscribers
+  const publish = async (user, isOnline, socketId = null) => {
+    try {
+      await User.updateOne({ _id: user.userId }, { isOnline, socketId });
+    } catch (err) {
+      console.error(`Failed to update presence for ${user.userId}:`, err.message);
+    }
+
+    if (user.role === 'doctor') {
+      relay.emit(DOCTOR_PRESENCE_ROOM, 'doctor-presence', {
+        doctorId: user.userId,
+        name: user.name,
+        isOnline
+      });
+    }
+  };
+
+  const connect = async (socket) => {
+    const { userId } = socket.user;
+    const reconnected = offlineTimers.has(userId);
+    clearTimeout(offlineTimers.get(userId));
+    offlineTimers.delete(userId);
+
+    const size = await store.addToSet(userSocketsKey(userId), socket.id);
+
+    // Only the first connection changes presence; reconnects within the grace period are silent
+    if (size === 1 && !reconnected) {
+      await publish(socket.user, true, socket.id);
+    } else {
+      await User.updateOne({ _id: userId }, { socketId: socket.id }).catch(err => {
+        console.error(`Failed to update socket for ${userId}:`, err.message);
+      });
+    }
+  };
+
+  /**
+   * Forget a closed socket
+   * @returns {Promise<number>} How many sockets the user still has open
+   */
+  const disconnect = async (socket) => {
+    const { userId } = socket.user;
+    const remaining = await store.removeFromSet(userSocketsKey(userId), socket.id);
+    if (remaining > 0) return remaining;
+
+    const timer = setTimeout(async () => {
+      offlineTimers.delete(userId);
+      // They may have come back on another instance in the meantime
+      const sockets = await store.members(userSocketsKey(userId)).catch(() => []);
+      if (!sockets.length) publish(socket.user, false);
+    }, graceMs);
+    timer.unref();
+    offlineTimers.set(userId, timer);
+    return 0;
+  };
+
+  // Clear online flags left over from a previous run of the server. Skipped with
+  // a shared store, where other instances still have users connected; there the
+  // instance registry releases the users of an instance that stopped.
+  const reset = () => {
+    if (store.shared) return Promise.resolve();
+    return User.updateMany({ isOnline: true }, { isOnline: false, socketId: null })
+      .catch(err => console.error('Failed to reset presence:', err.message));
+  };
+
+  // Socket ids of a user's open connections, on any instance
+  const getSocketIds = (userId) => store.members(userSocketsKey(String(userId)));
+
+  const isOnline = async (userId) => offlineTimers.has(String(userId)) || (await getSocketIds(userId)).length > 0;
+
+  // Start sending a socket doctor presence updates, beginning with who is online now
+  const subscribe = async (socket) => {
+    socket.join(DOCTOR_PRESENCE_ROOM);
+    const doctors = await User.find({ role: 'doctor', isOnline: true }).select('name');
+    socket.emit('online-doctors', doctors.map(doctor => ({ doctorId: String(doctor._id), name: doctor.name })));
+  };
+
+  const unsubscribe = (socket) => socket.leave(DOCTOR_PRESENCE_ROOM);
+
+  return {
+    reset,
+    connect,
+    disconnect,
+    getSocketIds,
+    isOnline,
+    subscribe,
+    unsubscribe
+  };
+}
+
+module.exports = {
+  DOCTOR_PRESENCE_ROOM,
+  createPresenceTracker
+};
@@ -0,0 +1,56 @@
+// Channel every server instance listens on for events to deliver
+const EVENTS_CHANNEL = 'socket-events';
+
+/**
+ * Deliver events to sockets and rooms on any server instance
+ * Each emit is published through the store; every instance, this one
+ * included, hands it to whichever of the targets are connected to it.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} store - Signaling store
+ * @returns {Object} Relay
+ */
+function createRelay(io, store) {
+  store.subscribe(EVENTS_CHANNEL, ({ to, except, event, payload, leave }) => {
+    if (leave) {
+      io.local.in(to).socketsLeave(leave);
+      return;
+    }
+    io.local.to(to).except(except).emit(event, payload);
+  }).catch(err => console.error('Failed to subscribe to socket events:', err.message));
+
+  /**
+   * Emit an event to socket ids and/or room names
+   * @param {string|string[]} to - Socket ids or rooms
+   * @param {string} event - Event name
+   * @param {*} payload - Event data
+   * @param {Object} [options]
+   * @param {string|string[]} [options.except] - Socket ids or rooms to leave out
+   */
+  const emit = (to, event, payload, { except = [] } = {}) => {
+    const targets = [].concat(to).filter(Boolean);
+    // An empty target list would otherwise broadcast to everyone
+    if (!targets.length) return Promise.resolve();
+
+    return store.publish(EVENTS_CHANNEL, { to: targets, except: [].concat(except), event, payload })
+      .catch(err => console.error(`Failed to relay ${event}:`, err.message));
+  };
+
+  /**
+   * Take sockets out of a Socket.IO room, wherever they are connected
+   * @param {string|string[]} socketIds - Sockets to remove
+   * @param {string} room - Room to leave
+   */
+  const leave = (socketIds, room) => {
+    const targets = [].concat(socketIds).filter(Boolean);
+    if (!targets.length) return Promise.resolve();
+
+    return store.publish(EVENTS_CHANNEL, { to: targets, leave: room })
+      .catch(err => console.error(`Failed to relay leaving ${room}:`, err.message));
+  };
+
+  return { emit, leave };
+}
+
+module.exports = {
+  createRelay
+};
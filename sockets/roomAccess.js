@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Call = require('../models/Call');
+const GroupSession = require('../models/GroupSession');
+
+/**
+ * Check whether a user may join a signaling room
+ * A room id is the id of an appointment, call or group session; only its
+ * participants may join. For group sessions that's the host and invitees the
+ * host hasn't removed, while the session is open.
+ * @param {Object} user - Authenticated socket user ({ userId, role })
+ * @param {string} roomId - Requested room id
+ * @returns {Promise<boolean>} Whether the user may join
+ */
+const canJoinRoom = async (user, roomId) => {
+  if (!user || !mongoose.Types.ObjectId.isValid(roomId)) return false;
+
+  const [appointment, call, groupSession] = await Promise.all([
+    Appointment.exists({
+      _id: roomId,
+      status: { $in: Appointment.ACTIVE_STATUSES },
+      $or: [{ user: user.userId }, { doctor: user.userId }]
+    }),
+    Call.exists({
+      _id: roomId,
+      status: { $in: Call.ACTIVE_STATUSES },
+      $or: [{ caller: user.userId }, { callee: user.userId }]
+    }),
+    GroupSession.exists({
+      _id: roomId,
+      ...GroupSession.joinableFilter(),
+      removed: { $ne: user.userId },
+      $or: [{ host: user.userId }, { 'invites.user': user.userId }]
+    })
+  ]);
+
+  return Boolean(appointment || call || groupSession);
+};
+
+module.exports = {
+  canJoinRoom
+};
@@ -0,0 +1,42 @@
+const User = require('../models/User');
+const { verifyToken } = require('../middlewares/auth');
+
+/**
+ * Socket.IO handshake middleware
+ * Verifies the same JWT as the REST API and attaches the user to the socket.
+ * Clients pass the token as `auth: { token }`, or in an x-auth-token header.
+ */
+const socketAuth = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const token = auth.token || headers['x-auth-token'];
+
+  if (!token) {
+    return next(new Error('No token, authorization denied'));
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (err) {
+    return next(new Error('Token is not valid'));
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select('name role');
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    socket.user = {
+      userId: String(user._id),
+      role: user.role,
+      name: user.name
+    };
+    next();
+  } catch (err) {
+    console.error('Socket authentication failed:', err.message);
+    next(new Error('Authentication failed'));
+  }
+};
+
+module.exports = socketAuth;
@@ -0,0 +1,35 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+/**
+ * Create the store for signaling state from the environment
+ * SOCKET_STORE=redis (with REDIS_URL) shares presence, rooms, calls and queues
+ * between server instances; the default keeps them in this process.
+ * @returns {Object} Store
+ */
+function createStore() {
+  if (process.env.SOCKET_STORE !== 'redis') return createMemoryStore();
+
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (err) {
+    throw new Error('SOCKET_STORE=redis needs the "redis" package; run npm install');
+  }
+
+  const client = redis.createClient({ url: process.env.REDIS_URL });
+  const subscriber = client.duplicate();
+  client.on('error', err => console.error('Redis error:', err.message));
+  subscriber.on('error', err => console.error('Redis subscriber error:', err.message));
+
+  const ready = Promise.all([client.connect(), subscriber.connect()]);
+  ready.catch(err => console.error('Failed to connect to Redis:', err.message));
+
+  return createRedisStore({ client, subscriber, ready });
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createRedisStore
+};
@@ -0,0 +1,120 @@
+const { EventEmitter } = require('events');
+
+// Values are copied in and out so callers can't change stored state by
+// mutating what they read, the same as with a networked store
+const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * In-process signaling store, for a single server or for running several
+ * Socket.IO servers in one process (one store shared between them)
+ * @returns {Object} Store
+ */
+function createMemoryStore() {
+  const values = new Map();
+  // Expiry times of values set with a ttl
+  const expiries = new Map();
+  const sets = new Map();
+  const lists = new Map();
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  // Whether a value is set, dropping it first if it has expired
+  const has = (key) => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      values.delete(key);
+      expiries.delete(key);
+    }
+    return values.has(key);
+  };
+
+  const put = (key, value, ttlMs) => {
+    values.set(key, copy(value));
+    if (ttlMs) expiries.set(key, Date.now() + ttlMs); else expiries.delete(key);
+  };
+
+  return {
+    // Only this process sees the state, so leftovers from a previous run can be cleared on start
+    shared: false,
+
+    async get(key) {
+      return has(key) ? copy(values.get(key)) : null;
+    },
+
+    // ttlMs makes the value expire on its own
+    async set(key, value, { ttlMs } = {}) {
+      put(key, value, ttlMs);
+    },
+
+    // Set a value only if the key is unset; returns whether it was set
+    async setIfAbsent(key, value, { ttlMs } = {}) {
+      if (has(key)) return false;
+      put(key, value, ttlMs);
+      return true;
+    },
+
+    async del(key) {
+      values.delete(key);
+      expiries.delete(key);
+      sets.delete(key);
+      lists.delete(key);
+    },
+
+    // Add a member to a set and return the new size
+    async addToSet(key, member) {
+      if (!sets.has(key)) sets.set(key, new Set());
+      return sets.get(key).add(member).size;
+    },
+
+    // Add a member unless the set already holds max members; returns whether it is in the set
+    async addToSetWithin(key, member, max) {
+      const set = sets.get(key) || new Set();
+      if (!set.has(member) && set.size >= max) return false;
+      sets.set(key, set.add(member));
+      return true;
+    },
+
+    // Remove a member from a set and return how many are left
+    async removeFromSet(key, member) {
+      const set = sets.get(key);
+      if (!set) return 0;
+      set.delete(member);
+      if (set.size === 0) sets.delete(key);
+      return set.size;
+    },
+
+    async members(key) {
+      return Array.from(sets.get(key) || []);
+    },
+
+    async pushToList(key, value) {
+      if (!lists.has(key)) lists.set(key, []);
+      return lists.get(key).push(value);
+    },
+
+    // Remove every occurrence of a value and return how many were removed
+    async removeFromList(key, value) {
+      const list = lists.get(key);
+      if (!list) return 0;
+      const kept = list.filter(item => item !== value);
+      const removed = list.length - kept.length;
+      if (kept.length) lists.set(key, kept); else lists.delete(key);
+      return removed;
+    },
+
+    async listRange(key) {
+      return [...(lists.get(key) || [])];
+    },
+
+    async publish(channel, message) {
+      bus.emit(channel, copy(message));
+    },
+
+    async subscribe(channel, handler) {
+      bus.on(channel, handler);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
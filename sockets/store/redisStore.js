@@ -0,0 +1,73 @@
+// Checks the size and adds in one step, so two instances can't both take the last place
+const ADD_WITHIN_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 1 then return 1 end
+if redis.call('SCARD', KEYS[1]) >= tonumber(ARGV[2]) then return 0 end
+redis.call('SADD', KEYS[1], ARGV[1])
+return 1`;
+
+/**
+ * Signaling store backed by Redis, shared by every server instance
+ * Works with node-redis v4 clients or anything exposing the same commands.
+ * @param {Object} options
+ * @param {Object} options.client - Client for commands
+ * @param {Object} options.subscriber - Separate client for subscriptions (a subscribed connection can't run commands)
+ * @param {Promise} [options.ready] - Resolves once both clients are connected
+ * @param {string} [options.prefix] - Prefix for every key and channel
+ * @returns {Object} Store
+ */
+function createRedisStore({ client, subscriber, ready = Promise.resolve(), prefix = 'e-health:signaling:' }) {
+  const key = (name) => `${prefix}${name}`;
+
+  // Commands wait for the connection instead of failing during startup
+  const run = async (command) => {
+    await ready;
+    return command();
+  };
+
+  return {
+    // Other instances see the same state, so nothing may be cleared on start
+    shared: true,
+
+    get: (name) => run(async () => {
+      const raw = await client.get(key(name));
+      return raw === null ? null : JSON.parse(raw);
+    }),
+
+    // ttlMs makes the value expire on its own
+    set: (name, value, { ttlMs } = {}) => run(() => client.set(key(name), JSON.stringify(value), ttlMs ? { PX: ttlMs } : {})),
+
+    setIfAbsent: (name, value, { ttlMs } = {}) => run(async () =>
+      (await client.set(key(name), JSON.stringify(value), { NX: true, ...(ttlMs && { PX: ttlMs }) })) === 'OK'),
+
+    del: (name) => run(() => client.del(key(name))),
+
+    addToSet: (name, member) => run(async () => {
+      const [, size] = await client.multi().sAdd(key(name), member).sCard(key(name)).exec();
+      return size;
+    }),
+
+    addToSetWithin: (name, member, max) => run(async () =>
+      (await client.eval(ADD_WITHIN_SCRIPT, { keys: [key(name)], arguments: [String(member), String(max)] })) === 1),
+
+    removeFromSet: (name, member) => run(async () => {
+      const [, size] = await client.multi().sRem(key(name), member).sCard(key(name)).exec();
+      return size;
+    }),
+
+    members: (name) => run(() => client.sMembers(key(name))),
+
+    pushToList: (name, value) => run(() => client.rPush(key(name), value)),
+
+    removeFromList: (name, value) => run(() => client.lRem(key(name), 0, value)),
+
+    listRange: (name) => run(() => client.lRange(key(name), 0, -1)),
+
+    publish: (channel, message) => run(() => client.publish(key(channel), JSON.stringify(message))),
+
+    subscribe: (channel, handler) => run(() => subscriber.subscribe(key(channel), raw => handler(JSON.parse(raw))))
+  };
+}
+
+module.exports = {
+  createRedisStore
+};
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRedisStore } = require('../sockets/store/redisStore');
+
+// Stands in for a node-redis v4 client, keeping what it is asked to do
+const fakeClient = () => {
+  const strings = new Map();
+  const sets = new Map();
+  const calls = [];
+  const setOf = (key) => {
+    if (!sets.has(key)) sets.set(key, new Set());
+    return sets.get(key);
+  };
+
+  const commands = {
+    get: async (key) => (strings.has(key) ? strings.get(key) : null),
+    set: async (key, value, options) => {
+      calls.push(['set', key, value, options]);
+      if (options.NX && strings.has(key)) return null;
+      strings.set(key, value);
+      return 'OK';
+    },
+    del: async (key) => Number(strings.delete(key) || sets.delete(key)),
+    sMembers: async (key) => [...setOf(key)],
+    eval: async (script, { keys, arguments: args }) => {
+      calls.push(['eval', keys, args]);
+      const set = setOf(keys[0]);
+      if (set.has(args[0])) return 1;
+      if (set.size >= Number(args[1])) return 0;
+      set.add(args[0]);
+      return 1;
+    },
+    publish: async (channel, message) => calls.push(['publish', channel, message])
+  };
+
+  commands.multi = () => {
+    const queued = [];
+    const chain = {
+      sAdd: (key, member) => {
+        queued.push(() => setOf(key).add(member) && 1);
+        return chain;
+      },
+      sRem: (key, member) => {
+        queued.push(() => Number(setOf(key).delete(member)));
+        return chain;
+      },
+      sCard: (key) => {
+        queued.push(() => setOf(key).size);
+        return chain;
+      },
+      exec: async () => queued.map(command => command())
+    };
+    return chain;
+  };
+
+  return { ...commands, strings, sets, calls };
+};
+
+describe('redis signaling store', () => {
+  let client;
+  let store;
+
+  beforeEach(() => {
+    client = fakeClient();
+    store = createRedisStore({ client, subscriber: {}, prefix: 'test:' });
+  });
+
+  it('stores values as prefixed JSON and reads them back', async () => {
+    await store.set('socket:1', { userId: 'u1', roomId: null });
+    assert.equal(client.strings.get('test:socket:1'), '{"userId":"u1","roomId":null}');
+    assert.deepEqual(await store.get('socket:1'), { userId: 'u1', roomId: null });
+    assert.equal(await store.get('socket:2'), null);
+  });
+
+  it('gives values an expiry only when asked to', async () => {
+    await store.set('plain', 1);
+    await store.set('alive', true, { ttlMs: 30000 });
+    assert.deepEqual(client.calls.map(([, key, , options]) => [key, options]), [
+      ['test:plain', {}],
+      ['test:alive', { PX: 30000 }]
+    ]);
+  });
+
+  it('sets a value only if absent, with an optional expiry', async () => {
+    assert.equal(await store.setIfAbsent('claim', 'a', { ttlMs: 5000 }), true);
+    assert.equal(await store.setIfAbsent('claim', 'b'), false);
+    assert.deepEqual(await store.get('claim'), 'a');
+    assert.deepEqual(client.calls.map(([, , , options]) => options), [{ NX: true, PX: 5000 }, { NX: true }]);
+  });
+
+  it('adds to a set and reports its size', async () => {
+    assert.equal(await store.addToSet('room:r', 's1'), 1);
+    assert.equal(await store.addToSet('room:r', 's2'), 2);
+    assert.equal(await store.removeFromSet('room:r', 's1'), 1);
+    assert.deepEqual(await store.members('room:r'), ['s2']);
+  });
+
+  it('adds to a capped set through one script call', async () => {
+    assert.equal(await store.addToSetWithin('group', 'u1', 1), true);
+    assert.equal(await store.addToSetWithin('group', 'u2', 1), false);
+    // Already a member, so still let in
+    assert.equal(await store.addToSetWithin('group', 'u1', 1), true);
+    assert.deepEqual(client.calls[0], ['eval', ['test:group'], ['u1', '1']]);
+  });
+
+  it('waits for the connection before sending commands', async () => {
+    let connect;
+    const ready = new Promise(resolve => { connect = resolve; });
+    store = createRedisStore({ client, subscriber: {}, ready, prefix: 'test:' });
+
+    const published = store.publish('socket-events', { to: 'r' });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(client.calls.length, 0);
+
+    connect();
+    await published;
+    assert.deepEqual(client.calls, [['publish', 'test:socket-events', '{"to":"r"}']]);
+  });
+});
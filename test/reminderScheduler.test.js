@@ -0,0 +1,143 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Failed sends are logged; keep the test output to the results
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const Appointment = require('../models/Appointment');
+const { createReminderScheduler } = require('../services/reminderScheduler');
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2026-03-02T10:00:00Z');
+let appointments;
+
+// Appointments live in memory; find hands out copies, as reads from the database would
+const stubDatabase = () => {
+  Appointment.find = () => ({
+    populate: () => ({ populate: async () => appointments.map(appointment => structuredClone(appointment)) })
+  });
+
+  // Claims succeed only if no due offset is already taken for the side, like the real filter
+  Appointment.findOneAndUpdate = async ({ _id, remindersSent }, { $push }) => {
+    const appointment = appointments.find(a => a._id === _id);
+    const { offset, recipient } = remindersSent.$not.$elemMatch;
+    const taken = appointment.remindersSent.some(r =>
+      offset.$in.includes(r.offset) && recipient.$in.includes(r.recipient || null));
+    if (taken) return null;
+    appointment.remindersSent.push(...$push.remindersSent.$each);
+    return appointment;
+  };
+
+  Appointment.updateOne = async ({ _id }, { $pull }) => {
+    const appointment = appointments.find(a => a._id === _id);
+    const { offset, recipient } = $pull.remindersSent;
+    appointment.remindersSent = appointment.remindersSent.filter(r =>
+      !(offset.$in.includes(r.offset) && r.recipient === recipient));
+    return {};
+  };
+};
+
+// Records every email instead of sending it; addresses in failing bounce once
+const fakeTransport = (failing = []) => {
+  const sent = [];
+  const bounced = new Set();
+  return {
+    sent,
+    sendMail: async ({ to, subject, html }) => {
+      if (failing.includes(to) && !bounced.has(to)) {
+        bounced.add(to);
+        throw new Error('mailbox unavailable');
+      }
+      sent.push({ to, subject, html });
+    }
+  };
+};
+
+const scheduler = (transport, clock) => createReminderScheduler({
+  offsets: [24 * 60, 60],
+  transport,
+  now: () => new Date(clock.time)
+});
+
+// How many reminders each address got
+const countByRecipient = (sent) => sent.reduce((counts, { to }) => ({ ...counts, [to]: (counts[to] || 0) + 1 }), {});
+
+describe('appointment reminder scheduler', () => {
+  beforeEach(() => {
+    stubDatabase();
+    appointments = [{
+      _id: 'appointment-1',
+      type: 'video',
+      date: '2026-03-02',
+      time: '10:00',
+      start,
+      remindersSent: [],
+      user: { name: 'Employee', email: 'employee@example.com' },
+      doctor: { name: 'Doctor', email: 'doctor@example.com' }
+    }];
+  });
+
+  it('sends each recipient one reminder per window across repeated runs', async () => {
+    const transport = fakeTransport();
+    const clock = { time: start.getTime() - 25 * HOUR };
+    const reminders = scheduler(transport, clock);
+
+    // Tick every ten minutes from a day and an hour out until the appointment starts
+    for (; clock.time < start.getTime(); clock.time += HOUR / 6) {
+      await reminders.runOnce();
+    }
+
+    assert.deepEqual(countByRecipient(transport.sent), { 'employee@example.com': 2, 'doctor@example.com': 2 });
+    assert.deepEqual(transport.sent.map(({ subject }) => subject), [
+      'Reminder: video appointment in 1 day(s)',
+      'Reminder: video appointment in 1 day(s)',
+      'Reminder: video appointment in 1 hour(s)',
+      'Reminder: video appointment in 1 hour(s)'
+    ]);
+  });
+
+  it('sends one reminder, not one per window, for a booking made inside the last window', async () => {
+    const transport = fakeTransport();
+    const clock = { time: start.getTime() - HOUR / 2 };
+    const reminders = scheduler(transport, clock);
+
+    await reminders.runOnce();
+    await reminders.runOnce();
+
+    assert.deepEqual(countByRecipient(transport.sent), { 'employee@example.com': 1, 'doctor@example.com': 1 });
+  });
+
+  it('sends each reminder once when two instances run at the same time', async () => {
+    const transport = fakeTransport();
+    const clock = { time: start.getTime() - 23 * HOUR };
+
+    await Promise.all([scheduler(transport, clock).runOnce(), scheduler(transport, clock).runOnce()]);
+
+    assert.deepEqual(countByRecipient(transport.sent), { 'employee@example.com': 1, 'doctor@example.com': 1 });
+  });
+
+  it('retries a failed reminder without sending the other recipient theirs again', async () => {
+    const transport = fakeTransport(['doctor@example.com']);
+    const clock = { time: start.getTime() - 23 * HOUR };
+    const reminders = scheduler(transport, clock);
+
+    assert.equal(await reminders.runOnce(), 1);
+    assert.equal(await reminders.runOnce(), 1);
+    assert.equal(await reminders.runOnce(), 0);
+
+    assert.deepEqual(countByRecipient(transport.sent), { 'employee@example.com': 1, 'doctor@example.com': 1 });
+  });
+
+  it('escapes names in the email so they can\'t add markup', async () => {
+    const transport = fakeTransport();
+    appointments[0].user.name = '<img src=x onerror=alert(1)>';
+    const clock = { time: start.getTime() - 23 * HOUR };
+
+    await scheduler(transport, clock).runOnce();
+
+    const { html } = transport.sent.find(({ to }) => to === 'doctor@example.com');
+    assert.ok(html.includes('with &lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(!html.includes('<img'));
+  });
+});
@@ -0,0 +1,264 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'signaling-test-secret';
+
+// The handlers log every connection, join and failure; keep the test output to the results
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const User = require('../models/User');
+const Call = require('../models/Call');
+const Appointment = require('../models/Appointment');
+const GroupSession = require('../models/GroupSession');
+const socketHandler = require('../sockets/callHandlers');
+const { createMemoryStore } = require('../sockets/store');
+
+// Two instances signal through the shared store alone, so the database is stood in for
+const users = {
+  [new mongoose.Types.ObjectId()]: { name: 'Employee', role: 'employee' },
+  [new mongoose.Types.ObjectId()]: { name: 'Doctor', role: 'doctor' },
+  [new mongoose.Types.ObjectId()]: { name: 'Colleague', role: 'employee' }
+};
+const [employeeId, doctorId, colleagueId] = Object.keys(users);
+const roomId = String(new mongoose.Types.ObjectId());
+// A group session hosted by the doctor with room for one invitee
+const groupRoomId = String(new mongoose.Types.ObjectId());
+const groupSession = {
+  _id: groupRoomId,
+  host: doctorId,
+  title: 'Check-in',
+  locked: false,
+  maxParticipants: 2,
+  admitted: [employeeId, colleagueId],
+  muted: [],
+  isHost: (userId) => userId === doctorId
+};
+const calls = new Map();
+
+const stubDatabase = () => {
+  User.findById = (id) => ({ select: async () => (users[id] ? { _id: id, ...users[id] } : null) });
+  User.find = () => ({ select: async () => [] });
+  User.exists = async () => null;
+  User.updateOne = async () => ({});
+  User.updateMany = async () => ({});
+
+  Call.create = async (fields) => {
+    const call = { _id: new mongoose.Types.ObjectId(), startTime: new Date(), ...fields };
+    calls.set(String(call._id), call);
+    return call;
+  };
+  Call.findById = async (id) => calls.get(String(id)) || null;
+  Call.findOneAndUpdate = async ({ _id }, { $set = {} }) => {
+    const call = calls.get(String(_id));
+    return call ? Object.assign(call, $set) : null;
+  };
+  // Only the shared room counts as a live call the users take part in
+  Call.exists = async ({ _id }) => (String(_id) === roomId ? { _id } : null);
+  Call.aggregate = async () => [];
+  Appointment.exists = async () => null;
+  GroupSession.findById = async (id) => (String(id) === groupRoomId ? groupSession : null);
+  GroupSession.exists = async ({ _id }) => (String(_id) === groupRoomId ? { _id } : null);
+};
+
+// Each store call takes a moment, as over the network, so requests sent together overlap
+const withLatency = (store) => Object.fromEntries(Object.entries(store).map(([name, value]) => [
+  name,
+  typeof value === 'function'
+    ? async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      return value(...args);
+    }
+    : value
+]));
+
+const startInstance = (store) => new Promise((resolve) => {
+  const server = http.createServer();
+  const io = new Server(server);
+  const { instances } = socketHandler(io, { store });
+  server.listen(0, () => resolve({ io, instances, url: `http://localhost:${server.address().port}` }));
+});
+
+// Resolve with whether a join was let in or refused
+const join = (socket, room) => new Promise((resolve) => {
+  const done = (result) => {
+    socket.off('room-users', onJoined);
+    socket.off('unauthorized', onRefused);
+    resolve(result);
+  };
+  const onJoined = () => done({ joined: true });
+  const onRefused = ({ message }) => done({ joined: false, message });
+  socket.on('room-users', onJoined);
+  socket.on('unauthorized', onRefused);
+  socket.emit('join-room', { roomId: room });
+});
+
+const connectAs = (url, userId) => new Promise((resolve, reject) => {
+  const token = jwt.sign({ userId, role: users[userId].role }, process.env.JWT_SECRET);
+  const socket = connect(url, { auth: { token }, transports: ['websocket'] });
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+// Resolve with the next payload of an event, failing the test if it never comes
+const next = (socket, event, timeout = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeout}ms`)), timeout);
+  socket.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+describe('signaling across two instances sharing a store', () => {
+  let instances;
+  let employee;
+  let doctor;
+
+  before(async () => {
+    stubDatabase();
+    const store = createMemoryStore();
+    instances = [await startInstance(store), await startInstance(store)];
+    employee = await connectAs(instances[0].url, employeeId);
+    doctor = await connectAs(instances[1].url, doctorId);
+
+    const joined = next(doctor, 'room-users');
+    doctor.emit('join-room', { roomId });
+    await joined;
+    const connected = next(doctor, 'user-connected');
+    employee.emit('join-room', { roomId });
+    assert.equal(await connected, employeeId);
+  });
+
+  after(async () => {
+    employee.close();
+    doctor.close();
+    await Promise.all(instances.map(({ io }) => io.close()));
+  });
+
+  it('relays offers, answers and ICE candidates to the other instance', async () => {
+    const offer = next(doctor, 'offer');
+    employee.emit('offer', { offer: 'offer-sdp', to: doctor.id });
+    assert.deepEqual(await offer, { offer: 'offer-sdp', from: employee.id });
+
+    const answer = next(employee, 'answer');
+    doctor.emit('answer', { answer: 'answer-sdp', to: employee.id });
+    assert.deepEqual(await answer, { answer: 'answer-sdp', from: doctor.id });
+
+    const candidate = next(doctor, 'ice-candidate');
+    employee.emit('ice-candidate', { candidate: 'candidate', to: doctor.id });
+    assert.deepEqual(await candidate, { candidate: 'candidate', from: employee.id });
+  });
+
+  it('rings, answers and ends a call placed from the other instance', async () => {
+    const ringing = next(employee, 'call-made');
+    doctor.emit('call-user', { userToCall: employeeId, signalData: 'caller-signal' });
+    const made = await ringing;
+    assert.equal(made.userId, doctorId);
+    assert.equal(made.signal, 'caller-signal');
+
+    const accepted = next(doctor, 'call-accepted');
+    employee.emit('answer-call', { callId: made.callId, signal: 'callee-signal' });
+    assert.equal(await accepted, 'callee-signal');
+    assert.equal(calls.get(made.callId).status, 'accepted');
+
+    const ended = next(employee, 'call-ended');
+    doctor.emit('end-call', { callId: made.callId });
+    assert.deepEqual(await ended, { callId: made.callId });
+  });
+
+  it('reports a store failure to the client as call-error', async () => {
+    const failing = createMemoryStore();
+    failing.get = async () => { throw new Error('store unavailable'); };
+    const instance = await startInstance(failing);
+    const socket = await connectAs(instance.url, employeeId);
+
+    try {
+      const error = next(socket, 'call-error');
+      socket.emit('offer', { offer: 'offer-sdp', to: doctor.id });
+      assert.deepEqual(await error, { event: 'offer', message: 'Could not handle offer' });
+    } finally {
+      socket.close();
+      await instance.io.close();
+    }
+  });
+});
+
+describe('group sessions across two instances sharing a store', () => {
+  let instances;
+  let sockets;
+
+  before(async () => {
+    stubDatabase();
+    const store = withLatency(createMemoryStore());
+    instances = [await startInstance(store), await startInstance(store)];
+    sockets = [
+      await connectAs(instances[0].url, doctorId),
+      await connectAs(instances[0].url, employeeId),
+      await connectAs(instances[1].url, colleagueId)
+    ];
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.close());
+    await Promise.all(instances.map(({ io }) => io.close()));
+  });
+
+  it('lets only one invitee take the last place when both join at once', async () => {
+    const [host, employee, colleague] = sockets;
+    assert.deepEqual(await join(host, groupRoomId), { joined: true });
+
+    const results = await Promise.all([join(employee, groupRoomId), join(colleague, groupRoomId)]);
+    assert.equal(results.filter(result => result.joined).length, 1);
+    assert.deepEqual(results.find(result => !result.joined), { joined: false, message: 'The session is full' });
+
+    // The place is given up on leaving, so the other invitee can then get in
+    const [inside, outside] = results[0].joined ? [employee, colleague] : [colleague, employee];
+    assert.deepEqual(await join(inside, roomId), { joined: true });
+    assert.deepEqual(await join(outside, groupRoomId), { joined: true });
+  });
+
+  it('keeps the host\'s place while invitees fill the rest', async () => {
+    const [host, employee, colleague] = sockets;
+    // From the previous test one invitee is inside the session and the other is not
+    assert.deepEqual(await join(host, roomId), { joined: true });
+
+    const results = await Promise.all([join(employee, groupRoomId), join(colleague, groupRoomId)]);
+    assert.deepEqual(results.map(result => result.joined).sort(), [false, true]);
+    assert.deepEqual(await join(host, groupRoomId), { joined: true });
+  });
+});
+
+describe('cleaning up after an instance that stopped', () => {
+  it('releases the room places and presence of its sockets', async () => {
+    stubDatabase();
+    const store = createMemoryStore();
+    const instances = [await startInstance(store), await startInstance(store)];
+    const doctor = await connectAs(instances[0].url, doctorId);
+    const employee = await connectAs(instances[1].url, employeeId);
+
+    try {
+      assert.deepEqual(await join(doctor, roomId), { joined: true });
+      const left = next(employee, 'user-disconnected');
+      assert.deepEqual(await join(employee, roomId), { joined: true });
+
+      // The first instance's heartbeat lapses with its socket still in the room
+      await instances[0].instances.stop();
+      await instances[1].instances.sweep();
+
+      assert.equal(await left, doctorId);
+      assert.deepEqual(await store.members(`room:${roomId}`), [employee.id]);
+      assert.deepEqual(await store.members(`user-sockets:${doctorId}`), []);
+      assert.equal(await store.get(`socket:${doctor.id}`), null);
+      assert.ok(!(await store.members('instances')).includes(instances[0].instances.instanceId));
+    } finally {
+      doctor.close();
+      employee.close();
+      await Promise.all(instances.map(({ io }) => io.close()));
+    }
+  });
+});
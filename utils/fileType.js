@@ -0,0 +1,41 @@
+// Recognised types, by their leading bytes rather than the name or declared type
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extension: '.pdf', matches: (buffer) => buffer.subarray(0, 5).toString('latin1') === '%PDF-' },
+  { mimeType: 'image/png', extension: '.png', matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', extension: '.jpg', matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { mimeType: 'image/gif', extension: '.gif', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('latin1')) },
+  {
+    mimeType: 'image/webp',
+    extension: '.webp',
+    matches: (buffer) => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+const TEXT_TYPE = { mimeType: 'text/plain', extension: '.txt' };
+
+// Control characters other than tab, newline, form feed and carriage return don't appear in text
+const BINARY_CHARACTERS = /[\u0000-\u0008\u000b\u000e-\u001f\u007f]/;
+
+/**
+ * Work out a file's real type from its content
+ * @param {Buffer} buffer - File content
+ * @param {Object} [options]
+ * @param {boolean} [options.allowText] - Recognise valid UTF-8 without binary control characters as plain text
+ * @returns {Object|null} Matching signature ({ mimeType, extension })
+ */
+const sniffType = (buffer, { allowText = false } = {}) => {
+  if (!buffer || !buffer.length) return null;
+  const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+  if (signature || !allowText) return signature || null;
+
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return BINARY_CHARACTERS.test(text) ? null : TEXT_TYPE;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  sniffType
+};